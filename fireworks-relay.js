@@ -0,0 +1,171 @@
+// WebSocket relay for shared fireworks rooms (see the shared rooms section
+// of fireworks.js). Every launch a client sends is passed on to the other
+// clients in the same room; nothing is stored. Uses only Node's built-in
+// modules, so it runs without installing anything:
+//
+//   node fireworks-relay.js [port]
+//
+// then open fireworks-view.html?room=CODE on each machine, adding
+// &relay=ws://<relay host>:<port> when the relay isn't on the page's host
+// at the default port 8787.
+//
+// Pages served over HTTPS connect with wss:, so give the relay a
+// certificate and key:
+//
+//   TLS_CERT=cert.pem TLS_KEY=key.pem node fireworks-relay.js
+//
+// or put a TLS-terminating proxy in front of the port instead.
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT) || 8787;
+const TLS = process.env.TLS_CERT && process.env.TLS_KEY
+    ? { cert: fs.readFileSync(process.env.TLS_CERT), key: fs.readFileSync(process.env.TLS_KEY) }
+    : null;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Launch messages are well under this; anything larger is dropped
+const MAX_MESSAGE_BYTES = 4096;
+// Messages a client may send per second before the excess is dropped
+const MAX_MESSAGES_PER_SECOND = 20;
+
+// Open sockets by room code
+const rooms = new Map();
+
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function send(client, text) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(text));
+}
+
+function broadcastPeers(code) {
+    const clients = rooms.get(code);
+    if (!clients) return;
+    const message = JSON.stringify({ type: 'peers', count: clients.size });
+    clients.forEach(client => send(client, message));
+}
+
+function leave(client) {
+    const clients = rooms.get(client.room);
+    if (!clients || !clients.delete(client)) return;
+    if (clients.size === 0) rooms.delete(client.room);
+    else broadcastPeers(client.room);
+}
+
+// Checks a client's message and passes it on to the rest of its room
+function relay(client, text) {
+    const now = Date.now();
+    if (now - client.windowStart >= 1000) {
+        client.windowStart = now;
+        client.sent = 0;
+    }
+    if (++client.sent > MAX_MESSAGES_PER_SECOND) return;
+
+    let msg;
+    try {
+        msg = JSON.parse(text);
+    } catch (e) {
+        return;
+    }
+    if (!msg || msg.type !== 'launch') return;
+    const clients = rooms.get(client.room);
+    clients.forEach(other => {
+        if (other !== client) send(other, text);
+    });
+}
+
+// Reads complete frames from the client's buffer. Client frames are
+// always masked; fragmented messages aren't used by the page and close
+// the connection like any other protocol error.
+function readFrames(client) {
+    let buffer = client.buffer;
+    while (buffer.length >= 2) {
+        const fin = buffer[0] & 0x80;
+        const opcode = buffer[0] & 0x0f;
+        const masked = buffer[1] & 0x80;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            client.socket.destroy();
+            return;
+        }
+        if (!fin || !masked || length > MAX_MESSAGE_BYTES) {
+            client.socket.destroy();
+            return;
+        }
+        if (buffer.length < offset + 4 + length) break;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        buffer = buffer.subarray(offset + 4 + length);
+
+        if (opcode === 0x1) {
+            relay(client, payload.toString('utf8'));
+        } else if (opcode === 0x8) {
+            client.socket.end(encodeFrame('', 0x8));
+            return;
+        } else if (opcode === 0x9) {
+            client.socket.write(encodeFrame(payload, 0xA));
+        }
+    }
+    client.buffer = buffer;
+}
+
+function onRequest(req, res) {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Fireworks relay: connect with a WebSocket\n');
+}
+
+const server = TLS ? https.createServer(TLS, onRequest) : http.createServer(onRequest);
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const code = new URL(req.url, 'http://relay').searchParams.get('room') || '';
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket' || !/^[A-Z0-9]{1,16}$/.test(code)) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const client = { socket, room: code, buffer: Buffer.alloc(0), windowStart: 0, sent: 0 };
+    if (!rooms.has(code)) rooms.set(code, new Set());
+    rooms.get(code).add(client);
+    broadcastPeers(code);
+
+    socket.on('data', (data) => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        readFrames(client);
+    });
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+});
+
+server.listen(PORT, () => {
+    console.log(`Fireworks relay listening on ${TLS ? 'wss' : 'ws'}://localhost:${PORT}`);
+});
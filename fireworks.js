@@ -1,39 +1,116 @@
-const canvas = document.getElementById('canvas');
-const ctx = canvas.getContext('2d');
-canvas.width = window.innerWidth;
-canvas.height = window.innerHeight;
+// The canvas being drawn on and its context, set by createFireworks().
+// In worker mode the worker draws on an OffscreenCanvas and the page's
+// `canvas` only records its size (see the offscreen section).
+let canvas = null;
+let ctx = null;
+// Whether this copy of the script is the offscreen rendering worker
+const IN_WORKER = typeof WorkerGlobalScope !== 'undefined';
+
+// Settings with localStorage persistence. Spawn intervals are in ms and
+// rates in particles per second. Each emitter's own settings are added to
+// the defaults when it is registered (see registerEmitter).
+const SETTINGS_VERSION = 2;
 
-// Settings with localStorage persistence
 const defaultSettings = {
-    rocketSpawn: 30,
-    rocketParticles: 80,
-    sparklerRate: 5,
-    burstSpawn: 20,
-    burstParticles: 30,
-    fountainRate: 3,
-    fountainVel: 1.0,
-    starCount: 100,
-    particleSize: 1.0
+    particleSize: 1.0,
+    // Share of the previous frame faded out each 60fps frame
+    trailFade: 0.15,
+    renderer: 'webgl',
+    wind: 0,
+    gusts: 0,
+    airDrag: 1.0,
+    groundBounce: false,
+    smoke: true,
+    skyFlash: true,
+    embers: true,
+    scene: 'none',
+    palette: 'random',
+    priority: 'smooth',
+    showStats: false
 };
 
 let settings = { ...defaultSettings };
 
-// Load settings from localStorage
-try {
-    const saved = localStorage.getItem('fireworksSettings');
-    if (saved) {
-        settings = { ...defaultSettings, ...JSON.parse(saved) };
+// Numeric settings, shown as a slider with a number box beside it (ids
+// `key` and `${key}Val`). `min` and `max` are in setting units, `scale`
+// maps slider units to setting units and `step` is in slider units.
+// Emitters' numeric settings are added as they register.
+const settingInputs = {
+    particleSize: { key: 'particleSize', min: 0.5, max: 2, scale: 0.01 },
+    trailFade: { key: 'trailFade', min: 0.02, max: 0.5, scale: 0.01 },
+    wind: { key: 'wind', min: -300, max: 300, step: 10 },
+    gusts: { key: 'gusts', min: 0, max: 300, step: 10 },
+    airDrag: { key: 'airDrag', min: 0, max: 3, scale: 0.01 }
+};
+
+// Boolean settings shown as checkboxes with the same id
+const settingToggles = ['groundBounce', 'smoke', 'skyFlash', 'embers', 'showStats'];
+
+// Emitter select settings by key, each with an options() list of
+// [value, label] pairs
+const settingSelects = {};
+
+// The panel's own sections (data-group in the page), with the settings
+// each one's Reset button restores. Every emitter gets a section too.
+const settingGroups = {
+    general: ['particleSize', 'trailFade', 'palette', 'scene'],
+    atmosphere: ['wind', 'gusts', 'airDrag', 'groundBounce', 'smoke', 'skyFlash', 'embers'],
+    performance: ['priority', 'showStats', 'renderer']
+};
+
+// Settings saved before version 2 counted spawns in 60fps frames
+function migrateSettings(saved) {
+    if (!saved.version) {
+        if (saved.rocketSpawn !== undefined) saved.rocketSpawn = Math.round(saved.rocketSpawn * 1000 / 60);
+        if (saved.burstSpawn !== undefined) saved.burstSpawn = Math.round(saved.burstSpawn * 1000 / 60);
+        if (saved.sparklerRate !== undefined) saved.sparklerRate *= 30;
+        if (saved.fountainRate !== undefined) saved.fountainRate *= 60;
     }
-} catch (e) {
-    console.warn('Failed to load settings:', e);
+    saved.version = SETTINGS_VERSION;
+    return saved;
 }
 
-function saveSettings() {
+// A stored or typed-in value for `key`: the default if it is the wrong
+// type, and numbers clamped into their slider's range
+function cleanSetting(key, value) {
+    if (typeof value !== typeof defaultSettings[key] || Number.isNaN(value)) return defaultSettings[key];
+    const config = settingInputs[key];
+    return config ? Math.min(Math.max(value, config.min), config.max) : value;
+}
+
+// Cleans the known settings in `values` in place. Emitter settings are
+// cleaned when the emitter registers.
+function cleanSettings(values) {
+    Object.keys(defaultSettings).forEach(key => {
+        if (key in values) values[key] = cleanSetting(key, values[key]);
+    });
+    return values;
+}
+
+// Load settings from localStorage. The worker has none; the page sends
+// it the settings to start with. Keys missing from older saves keep their
+// defaults.
+if (!IN_WORKER) {
     try {
-        localStorage.setItem('fireworksSettings', JSON.stringify(settings));
+        const saved = localStorage.getItem('fireworksSettings');
+        if (saved) {
+            settings = cleanSettings({ ...defaultSettings, ...migrateSettings(JSON.parse(saved)) });
+        }
     } catch (e) {
-        console.warn('Failed to save settings:', e);
+        console.warn('Failed to load settings:', e);
+    }
+}
+
+// Embedded instances keep their settings to themselves
+function saveSettings() {
+    if (host.persist) {
+        try {
+            localStorage.setItem('fireworksSettings', JSON.stringify({ ...settings, version: SETTINGS_VERSION }));
+        } catch (e) {
+            console.warn('Failed to save settings:', e);
+        }
     }
+    recordSettingsChange();
 }
 
 function toggleSettings() {
@@ -43,77 +120,848 @@ function toggleSettings() {
     btn.textContent = panel.classList.contains('collapsed') ? '▶' : '▼';
 }
 
+// Set once createFireworks() has built the page controls, after which
+// late-registered emitters get their button and settings as they arrive
+let controlsReady = false;
+
+// Shows a short message over the canvas, such as why a file couldn't be
+// loaded, without blocking the page the way alert() would
+const STATUS_TIME = 4000;
+let statusTimer = 0;
+
+function showStatus(text) {
+    const status = document.getElementById('statusMessage');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.add('visible');
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => status.classList.remove('visible'), STATUS_TIME);
+}
+
+// A numeric setting as shown in its number box
+function formatSetting(config, value) {
+    return config.scale ? Number(value.toFixed(2)) : Math.round(value);
+}
+
+// Push the current settings into the panel's inputs
+function syncSettingsUI() {
+    if (IN_WORKER) {
+        postToPage('settings', { values: settings });
+        return;
+    }
+    Object.values(settingInputs).forEach(config => {
+        const value = settings[config.key];
+        document.getElementById(config.key).value = value / (config.scale || 1);
+        const box = document.getElementById(`${config.key}Val`);
+        box.value = formatSetting(config, value);
+        box.classList.remove('invalid');
+    });
+    Object.values(settingSelects).forEach(field => {
+        const valid = field.options().some(([value]) => value === settings[field.key]);
+        document.getElementById(field.key).value = valid ? settings[field.key] : field.value;
+    });
+    document.getElementById('scene').value = sceneTypes[settings.scene] ? settings.scene : 'none';
+    document.getElementById('palette').value = palettes[settings.palette] ? settings.palette : 'random';
+    document.getElementById('priority').value = GOVERNOR_PRIORITIES[settings.priority] ? settings.priority : 'smooth';
+    const renderer = host.worker ? settings.renderer : view3D.active ? '3d' : glRenderer.active ? 'webgl' : '2d';
+    document.getElementById('renderer').value = renderer;
+    settingToggles.forEach(key => {
+        document.getElementById(key).checked = settings[key];
+    });
+}
+
+// Wires a slider and its number box to each other and the setting. Typed
+// values are flagged while out of range and, once committed, snapped to
+// the slider's step and clamped; anything unreadable is put back.
+function bindSettingInput(config) {
+    const slider = document.getElementById(config.key);
+    const box = document.getElementById(`${config.key}Val`);
+    const scale = config.scale || 1;
+    const step = (config.step || 1) * scale;
+    slider.min = Math.round(config.min / scale);
+    slider.max = Math.round(config.max / scale);
+    slider.step = config.step || 1;
+    box.min = config.min;
+    box.max = config.max;
+    box.step = step;
+    box.title = `${formatSetting(config, config.min)} to ${formatSetting(config, config.max)}`;
+
+    slider.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value) * scale;
+        settings[config.key] = value;
+        box.value = formatSetting(config, value);
+        box.classList.remove('invalid');
+        saveSettings();
+    });
+    box.addEventListener('input', () => {
+        const value = parseFloat(box.value);
+        box.classList.toggle('invalid', !(value >= config.min && value <= config.max));
+    });
+    box.addEventListener('change', () => {
+        const typed = parseFloat(box.value);
+        if (Number.isFinite(typed)) {
+            settings[config.key] = cleanSetting(config.key, Number((Math.round(typed / step) * step).toFixed(6)));
+            saveSettings();
+        }
+        slider.value = settings[config.key] / scale;
+        box.value = formatSetting(config, settings[config.key]);
+        box.classList.remove('invalid');
+    });
+}
+
+function bindSettingSelect(field) {
+    const select = document.getElementById(field.key);
+    field.options().forEach(([value, label]) => select.add(new Option(label, value)));
+    select.addEventListener('change', (e) => {
+        settings[field.key] = e.target.value;
+        saveSettings();
+    });
+}
+
+// Puts `keys` back to their defaults; renderer and scene changes apply
+// through the settings input like any other change
+function resetSettings(keys) {
+    keys.forEach(key => { settings[key] = defaultSettings[key]; });
+    saveSettings();
+    syncSettingsUI();
+}
+
+// A panel section collapses when its header is clicked and resets its
+// settings from the header's Reset button
+function bindSettingsGroup(group, keys) {
+    const header = group.querySelector('.group-header');
+    header.addEventListener('click', () => group.classList.toggle('collapsed'));
+    header.querySelector('.group-reset').addEventListener('click', (e) => {
+        e.stopPropagation();
+        resetSettings(keys);
+    });
+}
+
+// Adds a collapsible section for an emitter's settings to the panel and
+// returns the element its settings go in
+function addSettingsGroup(title, keys) {
+    const group = document.createElement('div');
+    group.className = 'settings-group';
+    const header = document.createElement('div');
+    header.className = 'group-header';
+    const label = document.createElement('span');
+    label.className = 'group-title';
+    label.textContent = title;
+    const reset = document.createElement('button');
+    reset.className = 'mini-btn group-reset';
+    reset.textContent = 'Reset';
+    header.append(label, reset);
+    const content = document.createElement('div');
+    content.className = 'group-content';
+    group.append(header, content);
+    document.getElementById('emitterSettings').appendChild(group);
+    bindSettingsGroup(group, keys);
+    return content;
+}
+
 // Initialize settings UI
 function initSettings() {
-    const inputs = {
-        rocketSpawn: { el: 'rocketSpawn', val: 'rocketSpawnVal', suffix: 'ms', key: 'rocketSpawn' },
-        rocketParticles: { el: 'rocketParticles', val: 'rocketParticlesVal', suffix: '', key: 'rocketParticles' },
-        sparklerRate: { el: 'sparklerRate', val: 'sparklerRateVal', suffix: '/frame', key: 'sparklerRate' },
-        burstSpawn: { el: 'burstSpawn', val: 'burstSpawnVal', suffix: 'ms', key: 'burstSpawn' },
-        burstParticles: { el: 'burstParticles', val: 'burstParticlesVal', suffix: '', key: 'burstParticles' },
-        fountainRate: { el: 'fountainRate', val: 'fountainRateVal', suffix: '/frame', key: 'fountainRate' },
-        fountainVel: { el: 'fountainVel', val: 'fountainVelVal', suffix: 'x', key: 'fountainVel', scale: 0.01 },
-        starCount: { el: 'starCount', val: 'starCountVal', suffix: '', key: 'starCount' },
-        particleSize: { el: 'particleSize', val: 'particleSizeVal', suffix: 'x', key: 'particleSize', scale: 0.01 }
-    };
+    Object.values(settingInputs).forEach(bindSettingInput);
+    Object.values(settingSelects).forEach(bindSettingSelect);
+    document.querySelectorAll('.settings-group[data-group]').forEach(group => {
+        bindSettingsGroup(group, settingGroups[group.dataset.group]);
+    });
+
+    const sceneSelect = document.getElementById('scene');
+    Object.entries(sceneTypes).forEach(([key, type]) => {
+        sceneSelect.add(new Option(type.label, key));
+    });
+    sceneSelect.addEventListener('change', (e) => {
+        settings.scene = e.target.value;
+        saveSettings();
+    });
+
+    const paletteSelect = document.getElementById('palette');
+    Object.entries(palettes).forEach(([key, palette]) => {
+        paletteSelect.add(new Option(palette.label, key));
+    });
+    paletteSelect.addEventListener('change', (e) => {
+        settings.palette = e.target.value;
+        saveSettings();
+    });
 
-    Object.entries(inputs).forEach(([key, config]) => {
-        const input = document.getElementById(config.el);
-        const display = document.getElementById(config.val);
-        const scale = config.scale || 1;
+    document.getElementById('priority').addEventListener('change', (e) => {
+        settings.priority = e.target.value;
+        saveSettings();
+    });
 
-        // Set initial value
-        input.value = config.scale ? settings[config.key] / scale : settings[config.key];
-        display.textContent = config.scale ? settings[config.key].toFixed(1) : settings[config.key];
+    const rendererSelect = document.getElementById('renderer');
+    rendererSelect.addEventListener('change', (e) => {
+        // The worker can't run the 3D view, so reload to run on the page
+        if (host.worker && e.target.value === '3d') {
+            settings.renderer = '3d';
+            saveSettings();
+            location.reload();
+            return;
+        }
+        if (!setRenderer(e.target.value) && e.target.value !== '2d') {
+            e.target.value = '2d';
+        }
+        settings.renderer = e.target.value;
+        saveSettings();
+    });
 
-        input.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value) * scale;
-            settings[config.key] = value;
-            display.textContent = config.scale ? value.toFixed(1) : Math.round(value);
+    settingToggles.forEach(key => {
+        document.getElementById(key).addEventListener('change', (e) => {
+            settings[key] = e.target.checked;
             saveSettings();
         });
     });
+
+    syncSettingsUI();
+}
+
+// Seeded randomness. Everything that spawns or moves particles draws from
+// random() rather than Math.random(), so a seed plus the input log replays
+// a run exactly (see the replay section). Audio and draw-time flicker stay
+// on Math.random() as they never feed back into the simulation.
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function newSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Seeds are shown as unsigned integers; any other text is hashed (FNV-1a)
+function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+    let hash = 2166136261;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash = Math.imul(hash ^ trimmed.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+let seed = newSeed();
+let random = createRandom(seed);
+
+// Runs fn with random() drawing from its own sequence for `runSeed`,
+// leaving the main sequence where it was
+function withSeed(runSeed, fn) {
+    const previous = random;
+    random = createRandom(runSeed);
+    try {
+        return fn();
+    } finally {
+        random = previous;
+    }
 }
 
+// Whether each emitter is on is kept in state under its name
 const state = {
-    rockets: false,
-    sparklers: false,
-    bursts: false,
-    fountains: false,
-    stars: false,
     muted: false
 };
 
+// Particle storage. Sparks are stored structure-of-arrays in a pool that
+// grows by doubling and never shrinks, so the steady stream of short-lived
+// sparks allocates nothing per frame. A spark is an index into the typed
+// columns; removing one moves the last spark into its slot, so indices
+// don't survive a removal and order isn't kept. Velocities are in px/s,
+// gravity in px/s² and life in seconds. `drag` is the fraction of velocity
+// (relative to the wind) kept after one second.
+const PARTICLE_COLUMNS = [
+    ['x', Float32Array],
+    ['y', Float32Array],
+    ['z', Float32Array],
+    ['vx', Float32Array],
+    ['vy', Float32Array],
+    ['vz', Float32Array],
+    ['life', Float32Array],
+    ['maxLife', Float32Array],
+    ['size', Float32Array],
+    ['drag', Float32Array],
+    ['sprite', Uint8Array]
+];
+const PARTICLE_POOL_CAPACITY = 1024;
+
+class ParticlePool {
+    constructor(columns = PARTICLE_COLUMNS) {
+        this.columns = columns;
+        this.arrays = [];
+        this.color = [];
+        this.count = 0;
+        this.capacity = 0;
+        this.grow(PARTICLE_POOL_CAPACITY);
+    }
+    get length() {
+        return this.count;
+    }
+    grow(capacity) {
+        this.arrays = this.columns.map(([name, Type]) => {
+            const column = new Type(capacity);
+            if (this[name]) column.set(this[name]);
+            this[name] = column;
+            return column;
+        });
+        this.capacity = capacity;
+    }
+    // Adds a spark at rest in depth and returns its index
+    add(x, y, vx, vy, color, life, size, drag = 1) {
+        if (this.count === this.capacity) this.grow(this.capacity * 2);
+        const i = this.count++;
+        this.x[i] = x;
+        this.y[i] = y;
+        this.z[i] = 0;
+        this.vx[i] = vx;
+        this.vy[i] = vy;
+        this.vz[i] = 0;
+        this.color[i] = color;
+        this.life[i] = life;
+        this.maxLife[i] = life;
+        this.size[i] = size * settings.particleSize;
+        this.drag[i] = drag;
+        this.sprite[i] = Math.floor(random() * assets.particleSprites.length);
+        return i;
+    }
+    remove(i) {
+        const last = --this.count;
+        if (i === last) return;
+        for (const column of this.arrays) column[i] = column[last];
+        this.color[i] = this.color[last];
+    }
+    clear() {
+        this.count = 0;
+    }
+    move(i, dt, gravity) {
+        this.x[i] += this.vx[i] * dt;
+        this.y[i] += this.vy[i] * dt;
+        this.z[i] += this.vz[i] * dt;
+        this.vy[i] += gravity * dt;
+        applyAirDrag(this, i, dt);
+    }
+    // Moves every spark on and drops those that burn out. Sparks reaching
+    // `floor` are dropped too, or bounce off it with `bounce`.
+    update(dt, gravity, floor = Infinity, bounce = false) {
+        for (let i = 0; i < this.count;) {
+            this.move(i, dt, gravity);
+            this.life[i] -= dt;
+            const alive = this.life[i] > 0;
+            if (bounce) bounceOffGround(this, i);
+            if (alive && (bounce || this.y[i] < floor)) i++;
+            else this.remove(i);
+        }
+    }
+    draw() {
+        for (let i = 0; i < this.count; i++) {
+            drawSpark(this.x[i], this.y[i], this.size[i], this.color[i], this.life[i] / this.maxLife[i], this.sprite[i]);
+        }
+        ctx.globalAlpha = 1;
+    }
+    draw3D() {
+        for (let i = 0; i < this.count; i++) {
+            addPoint3D(this.x[i], this.y[i], this.z[i], this.size[i], this.color[i], this.life[i] / this.maxLife[i], this.sprite[i]);
+        }
+    }
+}
+
+// Draws one spark in 2D, or queues it for the WebGL renderer. Leaves
+// ctx.globalAlpha set for the caller to reset.
+function drawSpark(x, y, size, color, alpha, sprite) {
+    if (glRenderer.active) {
+        queueSprite(x, y, size, color, alpha, sprite);
+        return;
+    }
+    ctx.globalAlpha = alpha;
+
+    if (!perf.tint) {
+        ctx.fillStyle = color;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+    } else if (assets.particleSprites.length > 0) {
+        ctx.save();
+        ctx.translate(x, y);
+        const image = assets.particleSprites[sprite];
+
+        // Tint the sprite with the particle color
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(image, -size, -size, size * 2, size * 2);
+
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.fillStyle = color;
+        ctx.fillRect(-size, -size, size * 2, size * 2);
+
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.drawImage(image, -size, -size, size * 2, size * 2);
+
+        ctx.restore();
+    } else {
+        ctx.fillStyle = color;
+        ctx.shadowBlur = 8;
+        ctx.shadowColor = color;
+        ctx.beginPath();
+        ctx.arc(x, y, size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+}
+
+// Explosion stars (see addStar) add their own gravity, flags, child
+// generation, shape target and a trail kept in a per-slot buffer of
+// [x, y, z] points, oldest first. Trail buffers stay with the pool when a
+// star dies and are reused by later stars.
+const STAR_COLUMNS = PARTICLE_COLUMNS.concat([
+    ['gravity', Float32Array],
+    ['sparkle', Uint8Array],
+    ['hidden', Uint8Array],
+    ['depth', Uint8Array],
+    ['trailLength', Uint8Array],
+    ['trailCount', Uint8Array],
+    ['targeted', Uint8Array],
+    ['targetX', Float32Array],
+    ['targetY', Float32Array],
+    ['targetZ', Float32Array],
+    ['hold', Float32Array]
+]);
+
+class StarPool extends ParticlePool {
+    constructor() {
+        super(STAR_COLUMNS);
+        this.trails = [];
+        this.children = [];
+        this.childTimers = [];
+    }
+    remove(i) {
+        const last = this.count - 1;
+        super.remove(i);
+        if (i === last) {
+            this.children[i] = this.childTimers[i] = null;
+            return;
+        }
+        const trail = this.trails[i];
+        this.trails[i] = this.trails[last];
+        this.trails[last] = trail;
+        this.children[i] = this.children[last];
+        this.childTimers[i] = this.childTimers[last];
+        this.children[last] = this.childTimers[last] = null;
+    }
+    clear() {
+        this.children.fill(null);
+        this.childTimers.fill(null);
+        super.clear();
+    }
+    setTrail(i, length) {
+        this.trailLength[i] = length;
+        this.trailCount[i] = 0;
+        const trail = this.trails[i];
+        if (length && !(trail && trail.length >= length * 3)) this.trails[i] = new Float32Array(length * 3);
+    }
+    // Appends the star's position to its trail, dropping the oldest point
+    // once the trail is full
+    recordTrail(i) {
+        const length = this.trailLength[i];
+        if (!length) return;
+        const trail = this.trails[i];
+        let n = this.trailCount[i];
+        if (n === length) {
+            trail.copyWithin(0, 3, n * 3);
+            n--;
+        }
+        trail[n * 3] = this.x[i];
+        trail[n * 3 + 1] = this.y[i];
+        trail[n * 3 + 2] = this.z[i];
+        this.trailCount[i] = n + 1;
+    }
+    // A star as a plain object, for child emitters to spawn from once it
+    // has moved on or been removed
+    snapshot(i) {
+        return {
+            x: this.x[i],
+            y: this.y[i],
+            z: this.z[i],
+            vx: this.vx[i],
+            vy: this.vy[i],
+            vz: this.vz[i],
+            color: this.color[i],
+            size: this.size[i],
+            depth: this.depth[i]
+        };
+    }
+}
+
+// Particle lists by name; emitters add their own when registered, as
+// arrays of objects. The built-in effects' sparks live in pools.
 const particles = {
-    rockets: [],
-    rocketExplosions: [],
-    sparklers: [],
-    bursts: [],
-    fountains: [],
-    stars: []
+    smoke: [],
+    embers: new ParticlePool(),
+    rocketExplosions: new StarPool(),
+    sparklers: new ParticlePool(),
+    bursts: new ParticlePool(),
+    fountains: new ParticlePool()
+};
+
+function clearParticles(key) {
+    if (particles[key] instanceof ParticlePool) particles[key].clear();
+    else particles[key] = [];
+}
+
+// Emitter registry. Each toggleable effect is registered with
+// registerEmitter(name, emitter), which adds its particle lists to
+// `particles`, its settings' defaults to `settings` and, on pages with the
+// controls, its button (id `name`) to the controls bar and its settings to
+// their own section of the panel. Scripts loaded after fireworks.js can add their own:
+//
+//   registerEmitter('snow', {
+//       label: '❄️ SNOW',
+//       color: '#88aaff',
+//       activeColor: '#4477ff',
+//       particles: ['snow'],
+//       settings: [
+//           { key: 'snowRate', label: 'Snow Rate', min: 10, max: 200, value: 60, suffix: '/s' }
+//       ],
+//       spawn(dt) { ... },   // called each step while the emitter is on
+//       update(dt) { ... },  // called each step, on or off
+//       draw() { ... },      // optional; defaults to drawing each list's particles
+//       draw3D() { ... }     // optional; the same for the 3D view via addPoint3D()
+//   });
+//
+// Each name in `particles` gets an empty array in `particles`. The default
+// draws read plain `{ x, y, z, size, color, life, maxLife, sprite }` objects
+// pushed there (`z` and `sprite` optional); update() moves and removes them.
+// Settings are range sliders with a number box unless `type: 'select'`,
+// which takes `options()` returning [value, label] pairs. `scale` maps
+// slider units to setting units, `value` is the default and `min`/`max`
+// the accepted range in setting units (see settingInputs).
+const emitters = {};
+// Emitter names in registration order
+const MODES = [];
+
+function registerEmitter(name, emitter) {
+    emitter.particles = emitter.particles || [];
+    emitters[name] = emitter;
+    MODES.push(name);
+    state[name] = false;
+    emitter.particles.forEach(key => {
+        if (!particles[key]) particles[key] = [];
+    });
+    (emitter.settings || []).forEach(field => {
+        if (!(field.key in defaultSettings)) defaultSettings[field.key] = field.value;
+        if (field.type !== 'select') settingInputs[field.key] = field;
+        settings[field.key] = cleanSetting(field.key, settings[field.key]);
+    });
+    if (controlsReady) addEmitterControls(name);
+}
+
+// Adds an emitter's button to the controls bar and its settings to the panel
+function addEmitterControls(name) {
+    const emitter = emitters[name];
+    const button = document.createElement('button');
+    button.id = name;
+    button.className = 'emitter-btn';
+    button.textContent = emitter.label;
+    button.style.setProperty('--emitter-color', emitter.color || '#666');
+    button.style.setProperty('--emitter-active', emitter.activeColor || emitter.color || '#888');
+    button.addEventListener('click', () => input('mode', { name, on: !state[name] }));
+    button.classList.toggle('active', state[name]);
+    document.getElementById('emitterButtons').appendChild(button);
+    emitter.button = button;
+
+    const fields = emitter.settings || [];
+    if (fields.length) {
+        const group = addSettingsGroup(emitter.label, fields.map(field => field.key));
+        fields.forEach(field => addEmitterSetting(field, group));
+    }
+    if (controlsReady) syncSettingsUI();
+    if (keyBindings.length) {
+        buildKeyBindings();
+        renderHelp();
+    }
+}
+
+function addEmitterSetting(field, group) {
+    const item = document.createElement('div');
+    item.className = 'setting-item';
+    const label = document.createElement('label');
+    label.htmlFor = field.key;
+    label.textContent = `${field.label}:`;
+
+    if (field.type === 'select') {
+        const select = document.createElement('select');
+        select.id = field.key;
+        item.append(label, select);
+        group.appendChild(item);
+        settingSelects[field.key] = field;
+        if (controlsReady) bindSettingSelect(field);
+        return;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'range-row';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = field.key;
+    const box = document.createElement('input');
+    box.type = 'number';
+    box.className = 'value';
+    box.id = `${field.key}Val`;
+    row.append(slider, box, field.suffix || '');
+    item.append(label, row);
+    group.appendChild(item);
+    if (controlsReady) bindSettingInput(field);
+}
+
+function setMode(mode, on) {
+    if (IN_WORKER) postToPage('mode', { name: mode, on });
+    state[mode] = on;
+    if (emitters[mode].button) emitters[mode].button.classList.toggle('active', on);
+    if (!on) emitters[mode].particles.forEach(clearParticles);
+}
+
+// Spawn bookkeeping: interval timers count down in ms, rate timers carry
+// the fractional spawn left over from the previous step
+const spawnTimers = {
+    rockets: 0,
+    bursts: 0,
+    sparklers: 0,
+    fountains: 0,
+    aimedFountain: 0,
+    stars: 0
 };
 
-let rocketTimer = 0;
-let burstTimer = 0;
-let sparklerTimer = 0;
+// The worker has no audio; its sounds are played by the page (postSound)
+const audioCtx = IN_WORKER ? null : new (window.AudioContext || window.webkitAudioContext)();
+
+// Procedural sound engine. Every effect is shaped from one shared white
+// noise buffer with filters and envelopes, panned by the effect's screen x
+// and routed through a master gain.
+const sound = {
+    master: null,
+    noise: null
+};
+
+// Sound travels ~343 m/s, so booms and crackle arrive after the flash.
+// Screen height maps to a rough distance from the viewer in metres.
+const SPEED_OF_SOUND = 343;
+
+function soundDistance(y) {
+    return 150 + (1 - y / canvas.height) * 350;
+}
+
+function soundOutput(x) {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    if (!sound.master) {
+        sound.master = audioCtx.createGain();
+        sound.master.gain.value = 0.5;
+        sound.master.connect(audioCtx.destination);
+
+        const length = audioCtx.sampleRate * 2;
+        sound.noise = audioCtx.createBuffer(1, length, audioCtx.sampleRate);
+        const data = sound.noise.getChannelData(0);
+        for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    if (!audioCtx.createStereoPanner) return sound.master;
+    const panner = audioCtx.createStereoPanner();
+    panner.pan.value = Math.max(-1, Math.min(1, (x / canvas.width) * 2 - 1));
+    panner.connect(sound.master);
+    return panner;
+}
+
+function noiseSource(start, duration) {
+    const src = audioCtx.createBufferSource();
+    src.buffer = sound.noise;
+    src.loop = true;
+    src.start(start, Math.random() * 1.5);
+    src.stop(start + duration);
+    return src;
+}
+
+// Rising band-passed noise while a rocket climbs
+function playWhistle(x, duration) {
+    if (IN_WORKER) return postSound('playWhistle', x, duration);
+    if (state.muted) return;
+    const out = soundOutput(x);
+    const t = audioCtx.currentTime;
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 25;
+    filter.frequency.setValueAtTime(1000 + Math.random() * 500, t);
+    filter.frequency.exponentialRampToValueAtTime(2500 + Math.random() * 1500, t + duration);
+    const gain = audioCtx.createGain();
+    gain.gain.setValueAtTime(0.0001, t);
+    gain.gain.exponentialRampToValueAtTime(1.5, t + 0.05);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + duration);
 
-const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    noiseSource(t, duration).connect(filter);
+    filter.connect(gain);
+    gain.connect(out);
+}
 
-function playSound(freq, duration) {
+// Low-passed noise boom plus a sub thump; farther bursts arrive later and
+// duller. `size` scales loudness and decay (1 = a full shell).
+function playBoom(x, y, size = 1) {
+    if (IN_WORKER) return postSound('playBoom', x, y, size);
     if (state.muted) return;
-    const osc = audioCtx.createOscillator();
+    const out = soundOutput(x);
+    const distance = soundDistance(y);
+    const t = audioCtx.currentTime + distance / SPEED_OF_SOUND;
+    const duration = 0.8 + size;
+
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(4000 * (150 / distance), t);
+    filter.frequency.exponentialRampToValueAtTime(150, t + duration);
     const gain = audioCtx.createGain();
-    osc.connect(gain);
-    gain.connect(audioCtx.destination);
-    osc.frequency.value = freq;
-    gain.gain.setValueAtTime(0.1, audioCtx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + duration);
-    osc.start();
-    osc.stop(audioCtx.currentTime + duration);
+    gain.gain.setValueAtTime(0.0001, t);
+    gain.gain.linearRampToValueAtTime(size, t + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+    noiseSource(t, duration).connect(filter);
+    filter.connect(gain);
+    gain.connect(out);
+
+    const thump = audioCtx.createOscillator();
+    const thumpGain = audioCtx.createGain();
+    thump.frequency.setValueAtTime(70, t);
+    thump.frequency.exponentialRampToValueAtTime(30, t + 0.4);
+    thumpGain.gain.setValueAtTime(0.0001, t);
+    thumpGain.gain.linearRampToValueAtTime(size * 0.8, t + 0.01);
+    thumpGain.gain.exponentialRampToValueAtTime(0.0001, t + 0.4);
+    thump.connect(thumpGain);
+    thumpGain.connect(out);
+    thump.start(t);
+    thump.stop(t + 0.4);
+}
+
+// Scattered high-passed noise clicks for glitter shells, starting `delay`
+// seconds after the flash
+function playCrackle(x, y, duration, clicks, delay = 0) {
+    if (IN_WORKER) return postSound('playCrackle', x, y, duration, clicks, delay);
+    if (state.muted) return;
+    const out = soundOutput(x);
+    const start = audioCtx.currentTime + delay + soundDistance(y) / SPEED_OF_SOUND;
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 2500;
+    filter.connect(out);
+
+    for (let i = 0; i < clicks; i++) {
+        const t = start + Math.random() * duration;
+        const gain = audioCtx.createGain();
+        gain.gain.setValueAtTime(0.2 + Math.random() * 0.3, t);
+        gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.02);
+        noiseSource(t, 0.02).connect(gain);
+        gain.connect(filter);
+    }
 }
 
 function randomHSL() {
-    return `hsl(${Math.random() * 360}, 100%, ${50 + Math.random() * 30}%)`;
+    return `hsl(${random() * 360}, 100%, ${50 + random() * 30}%)`;
+}
+
+// Color palettes. `random` keeps fully random hues; the others pick from a
+// fixed list with a little lightness jitter. `site` follows the theme
+// chosen elsewhere on the site (saved as gitl-theme), using the matching
+// colorblind-safe palette for the colorblind themes.
+const palettes = {
+    random: { label: 'Random' },
+    site: { label: 'Site Theme' },
+    patriotic: { label: 'Patriotic', colors: ['#ff2030', '#ffffff', '#2a5cff'] },
+    pastel: { label: 'Pastel', colors: ['#ffb3ba', '#ffdfba', '#ffffba', '#baffc9', '#bae1ff', '#e0bbff'] },
+    gold: { label: 'Monochrome Gold', colors: ['#ffd700', '#ffc125', '#ffb000', '#fff2b0'] },
+    protanopia: { label: 'Protanopia Safe', colors: ['#0072b2', '#56b4e9', '#f0e442', '#e69f00', '#ffffff'] },
+    deuteranopia: { label: 'Deuteranopia Safe', colors: ['#0072b2', '#e69f00', '#56b4e9', '#f0e442', '#cc79a7'] },
+    tritanopia: { label: 'Tritanopia Safe', colors: ['#e8000b', '#00c0c0', '#ff80c0', '#ffffff', '#b00000'] }
+};
+
+// Accent colors of each site theme (--link, --link-hover, --quote, --name,
+// --admin, --subject in index.html)
+const SITE_THEME_COLORS = {
+    'yotsuba': ['#34345c', '#dd0000', '#789922', '#117743', '#ff0000', '#cc1105'],
+    'yotsuba-b': ['#34345c', '#dd0000', '#789922', '#117743', '#ff0000', '#0f0c5d'],
+    'tomorrow': ['#81a2be', '#cc6666', '#b5bd68', '#b294bb', '#cc6666', '#f0c674'],
+    'photon': ['#2b5797', '#d00000', '#709922', '#117743', '#ff0000', '#0f0c5d'],
+    'futaba': ['#34345c', '#dd0000', '#789922', '#117743', '#ff0000', '#0f0c5d'],
+    'achromatopsia': ['#404040', '#000000', '#606060', '#202020', '#000000', '#000000'],
+    'psychedelic': ['#7b68ee', '#ff1493', '#39ff14', '#ff00ff', '#ff0000', '#00ffff'],
+    'psychedelic-dark': ['#00ffff', '#ff1493', '#39ff14', '#ff6ec7', '#ff0000', '#ffff00'],
+    'vaporwave': ['#01cdfe', '#ff71ce', '#05ffa1', '#b967ff', '#ff0000', '#fffb96'],
+    'matrix': ['#00cc00', '#00ff00', '#00ff66', '#33ff33', '#ff0000', '#00ff00'],
+    'cyberpunk': ['#05d9e8', '#ff2a6d', '#d1f7ff', '#ff2a6d', '#ff0000', '#fcee0a'],
+    'sunset': ['#f7c59f', '#ff9f1c', '#ffbf69', '#ff6b35', '#ff0000', '#ffd166'],
+    'ocean': ['#80deea', '#4dd0e1', '#00e5ff', '#26c6da', '#ff5252', '#81d4fa'],
+    'forest': ['#a5d6a7', '#81c784', '#aed581', '#66bb6a', '#ff5252', '#c5e1a5'],
+    'midnight': ['#90caf9', '#64b5f6', '#a5d6a7', '#ce93d8', '#f48fb1', '#b39ddb']
+};
+const DEFAULT_SITE_THEME = 'yotsuba-b';
+// Theme accents are chosen for light page backgrounds; lift them to at
+// least this lightness so they read against the night sky
+const SITE_THEME_MIN_LIGHTNESS = 60;
+
+let siteTheme = readSiteTheme();
+// Active palette as [h, s, l] entries (null for random), rebuilt whenever
+// the palette setting or site theme differs from `paletteKey`
+let paletteHSL = null;
+let paletteKey = '';
+
+function readSiteTheme() {
+    try {
+        return localStorage.getItem('gitl-theme') || DEFAULT_SITE_THEME;
+    } catch (e) {
+        return DEFAULT_SITE_THEME;
+    }
+}
+
+function hexToHSL(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l * 100];
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return [h * 60, s * 100, l * 100];
+}
+
+function buildPalette() {
+    paletteKey = `${settings.palette}|${siteTheme}`;
+    if (settings.palette === 'site') {
+        const colorblind = palettes[siteTheme] && palettes[siteTheme].colors;
+        const accents = SITE_THEME_COLORS[siteTheme] || SITE_THEME_COLORS[DEFAULT_SITE_THEME];
+        paletteHSL = (colorblind || accents).map(hex => {
+            const [h, s, l] = hexToHSL(hex);
+            return [h, s, colorblind ? l : Math.max(l, SITE_THEME_MIN_LIGHTNESS)];
+        });
+        return;
+    }
+    const palette = palettes[settings.palette];
+    paletteHSL = palette && palette.colors ? palette.colors.map(hexToHSL) : null;
+}
+
+function randomColor() {
+    if (paletteKey !== `${settings.palette}|${siteTheme}`) buildPalette();
+    if (!paletteHSL) return randomHSL();
+    const [h, s, l] = paletteHSL[Math.floor(random() * paletteHSL.length)];
+    return `hsl(${h}, ${s}%, ${Math.min(100, l + (random() - 0.5) * 10)}%)`;
+}
+
+// Colors for one shell: a random hue, or with a palette active a pair of
+// its entries, so every star in the shell stays within that pair
+function shellColor() {
+    if (paletteKey !== `${settings.palette}|${siteTheme}`) buildPalette();
+    if (!paletteHSL) return randomHSL();
+    return [randomColor(), randomColor()];
+}
+
+// Follow theme changes made on other pages of the site
+if (!IN_WORKER) {
+    window.addEventListener('storage', (e) => {
+        if (e.key !== 'gitl-theme') return;
+        siteTheme = readSiteTheme();
+        callWorker('setSiteTheme', siteTheme);
+    });
 }
 
 // Asset loading
@@ -121,12 +969,17 @@ const assets = {
     particleSprites: []
 };
 
+// A scratch canvas; the worker has no DOM and gets an OffscreenCanvas
+function createCanvas() {
+    return IN_WORKER ? new OffscreenCanvas(300, 150) : document.createElement('canvas');
+}
+
 function generateParticleSprites() {
     const sprites = [];
     const spriteSize = 32;
 
     // Soft glow circle
-    const glow = document.createElement('canvas');
+    const glow = createCanvas();
     glow.width = glow.height = spriteSize;
     const glowCtx = glow.getContext('2d');
     const gradient = glowCtx.createRadialGradient(spriteSize/2, spriteSize/2, 0, spriteSize/2, spriteSize/2, spriteSize/2);
@@ -138,7 +991,7 @@ function generateParticleSprites() {
     sprites.push(glow);
 
     // Star burst
-    const star = document.createElement('canvas');
+    const star = createCanvas();
     star.width = star.height = spriteSize;
     const starCtx = star.getContext('2d');
     starCtx.fillStyle = 'white';
@@ -158,7 +1011,7 @@ function generateParticleSprites() {
     sprites.push(star);
 
     // Sparkle
-    const sparkle = document.createElement('canvas');
+    const sparkle = createCanvas();
     sparkle.width = sparkle.height = spriteSize;
     const sparkleCtx = sparkle.getContext('2d');
     sparkleCtx.strokeStyle = 'white';
@@ -176,257 +1029,1932 @@ function generateParticleSprites() {
     return sprites;
 }
 
-async function loadAssets() {
-    assets.particleSprites = generateParticleSprites();
-    const loadingEl = document.getElementById('loading');
-    if (loadingEl) loadingEl.style.display = 'none';
-    initSettings();
-    animate();
-}
-
-class Rocket {
-    constructor() {
-        this.x = Math.random() * canvas.width;
-        this.y = canvas.height;
-        this.targetY = canvas.height * (0.2 + Math.random() * 0.3);
-        this.speed = 8 + Math.random() * 4;
-        this.color = randomHSL();
-        this.trail = [];
-    }
-    update() {
-        this.trail.push({x: this.x, y: this.y});
-        if (this.trail.length > 10) this.trail.shift();
-        this.y -= this.speed;
-        return this.y > this.targetY;
-    }
-    draw() {
-        ctx.strokeStyle = this.color;
-        ctx.lineWidth = 3;
-        ctx.shadowBlur = 10;
-        ctx.shadowColor = this.color;
-        ctx.beginPath();
-        this.trail.forEach((p, i) => {
-            if (i === 0) ctx.moveTo(p.x, p.y);
-            else ctx.lineTo(p.x, p.y);
-        });
-        ctx.stroke();
-        ctx.shadowBlur = 0;
-    }
-    explode() {
-        playSound(800, 0.1);
-        const count = settings.rocketParticles;
-        for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 * i) / count;
-            const speed = 4 + Math.random() * 4;
-            particles.rocketExplosions.push({
-                x: this.x,
-                y: this.y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                life: 80 + Math.random() * 40,
-                maxLife: 80 + Math.random() * 40,
-                color: this.color,
-                size: (2 + Math.random() * 2) * settings.particleSize,
-                sparkle: Math.random() > 0.5,
-                sprite: Math.floor(Math.random() * assets.particleSprites.length)
-            });
-        }
-    }
-}
-
-class Particle {
-    constructor(x, y, vx, vy, color, life, size) {
-        this.x = x;
-        this.y = y;
-        this.vx = vx;
-        this.vy = vy;
-        this.color = color;
-        this.life = life;
-        this.maxLife = life;
-        this.size = size * settings.particleSize;
-        this.sprite = Math.floor(Math.random() * assets.particleSprites.length);
-    }
-    update(gravity = 0.1) {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.vy += gravity;
-        this.life--;
-        return this.life > 0;
-    }
-    draw() {
-        const alpha = this.life / this.maxLife;
-        ctx.globalAlpha = alpha;
+// WebGL particle renderer. Sprite particles are batched into an instance
+// buffer during the frame and drawn as instanced quads in one call, then
+// composited onto the 2D canvas with 'lighter' so trails, rockets and
+// recording keep working unchanged. Falls back to the 2D path when WebGL2
+// is unavailable or the context is lost.
+const glRenderer = {
+    active: false,
+    canvas: null,
+    gl: null,
+    buffer: null,
+    data: new Float32Array(16384 * 8),
+    count: 0
+};
 
-        if (assets.particleSprites.length > 0) {
-            ctx.save();
-            ctx.translate(this.x, this.y);
-            const sprite = assets.particleSprites[this.sprite];
+// Floats per instance: x, y, size, r, g, b, alpha, sprite
+const GL_INSTANCE_FLOATS = 8;
 
-            // Tint the sprite with the particle color
-            ctx.globalCompositeOperation = 'source-over';
-            ctx.drawImage(sprite, -this.size, -this.size, this.size * 2, this.size * 2);
+const GL_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec3 a_posSize;
+layout(location = 2) in vec4 a_color;
+layout(location = 3) in float a_sprite;
+uniform vec2 u_resolution;
+uniform float u_spriteCount;
+out vec2 v_uv;
+out vec4 v_color;
+void main() {
+    vec2 pos = a_posSize.xy + a_corner * a_posSize.z;
+    vec2 clip = pos / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_uv = vec2((a_sprite + a_corner.x * 0.5 + 0.5) / u_spriteCount, a_corner.y * 0.5 + 0.5);
+    v_color = a_color;
+}`;
 
-            ctx.globalCompositeOperation = 'multiply';
-            ctx.fillStyle = this.color;
-            ctx.fillRect(-this.size, -this.size, this.size * 2, this.size * 2);
+// Tinted sprite with a white-hot core, premultiplied for additive blending
+const GL_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+uniform sampler2D u_sprites;
+in vec2 v_uv;
+in vec4 v_color;
+out vec4 outColor;
+void main() {
+    float a = texture(u_sprites, v_uv).a * v_color.a;
+    vec3 core = vec3(pow(a, 4.0) * 0.6);
+    outColor = vec4(v_color.rgb * a + core, a);
+}`;
 
-            ctx.globalCompositeOperation = 'lighter';
-            ctx.drawImage(sprite, -this.size, -this.size, this.size * 2, this.size * 2);
+const colorParser = createCanvas().getContext('2d');
+const colorCache = new Map();
 
-            ctx.restore();
-        } else {
-            ctx.fillStyle = this.color;
-            ctx.shadowBlur = 8;
-            ctx.shadowColor = this.color;
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.shadowBlur = 0;
-        }
+// Converts any CSS color to [r, g, b] in 0-1 by letting the 2D context
+// normalize it
+function colorToRGB(color) {
+    let rgb = colorCache.get(color);
+    if (rgb) return rgb;
+    colorParser.fillStyle = '#000';
+    colorParser.fillStyle = color;
+    const value = colorParser.fillStyle;
+    if (value[0] === '#') {
+        rgb = [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16) / 255);
+    } else {
+        rgb = value.match(/[\d.]+/g).slice(0, 3).map(n => parseFloat(n) / 255);
+    }
+    if (colorCache.size > 2048) colorCache.clear();
+    colorCache.set(color, rgb);
+    return rgb;
+}
 
-        ctx.globalAlpha = 1;
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
     }
+    return shader;
 }
 
-function updateRockets() {
-    if (!state.rockets) return;
-    if (rocketTimer++ % settings.rocketSpawn === 0) {
-        particles.rockets.push(new Rocket());
-        playSound(400, 0.05);
+function initWebGLRenderer() {
+    const glCanvas = createCanvas();
+    const gl = glCanvas.getContext('webgl2', { premultipliedAlpha: true, antialias: false });
+    if (!gl) {
+        console.warn('WebGL2 unavailable, using 2D renderer');
+        return false;
     }
-    particles.rockets = particles.rockets.filter(r => {
-        const alive = r.update();
-        r.draw();
-        if (!alive) r.explode();
-        return alive;
-    });
 
-    particles.rocketExplosions = particles.rocketExplosions.filter(p => {
-        const alive = p.life-- > 0;
-        if (alive) {
-            p.x += p.vx;
-            p.y += p.vy;
-            p.vy += 0.12;
-            p.vx *= 0.98;
+    try {
+        const program = gl.createProgram();
+        gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, GL_VERTEX_SHADER));
+        gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, GL_FRAGMENT_SHADER));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+        gl.useProgram(program);
 
-            const alpha = p.life / p.maxLife;
-            ctx.globalAlpha = alpha;
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
 
-            if (assets.particleSprites.length > 0 && p.sprite !== undefined) {
-                const sprite = assets.particleSprites[p.sprite];
-                ctx.save();
-                ctx.translate(p.x, p.y);
+        const corners = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, corners);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
 
-                if (p.sparkle && Math.random() > 0.7) {
-                    ctx.shadowBlur = 15;
-                    ctx.shadowColor = p.color;
-                }
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, glRenderer.data.byteLength, gl.DYNAMIC_DRAW);
+        const stride = GL_INSTANCE_FLOATS * 4;
+        [[1, 3, 0], [2, 4, 12], [3, 1, 28]].forEach(([location, size, offset]) => {
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+            gl.vertexAttribDivisor(location, 1);
+        });
 
-                ctx.globalCompositeOperation = 'lighter';
-                ctx.drawImage(sprite, -p.size, -p.size, p.size * 2, p.size * 2);
-                ctx.restore();
-            } else {
-                ctx.fillStyle = p.color;
-                if (p.sparkle && Math.random() > 0.7) {
-                    ctx.shadowBlur = 8;
-                    ctx.shadowColor = p.color;
-                }
-                ctx.beginPath();
-                ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-                ctx.fill();
-            }
+        gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, buildSpriteAtlas());
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_spriteCount'), assets.particleSprites.length);
 
-            ctx.shadowBlur = 0;
-            ctx.globalAlpha = 1;
-        }
-        return alive;
-    });
-}
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
 
-function updateSparklers() {
-    if (!state.sparklers) return;
-    if (sparklerTimer++ % 2 === 0) {
-        for (let i = 0; i < settings.sparklerRate; i++) {
-            particles.sparklers.push(new Particle(
-                Math.random() * canvas.width,
-                -10,
-                (Math.random() - 0.5) * 2,
-                Math.random() * 2 + 1,
-                randomHSL(),
-                100 + Math.random() * 50,
-                2 + Math.random() * 2
-            ));
-        }
-    }
-    particles.sparklers = particles.sparklers.filter(p => {
-        const alive = p.update(0.05);
-        p.draw();
-        return alive && p.y < canvas.height;
-    });
-}
-
-function updateBursts() {
-    if (!state.bursts) return;
-    if (burstTimer++ % settings.burstSpawn === 0) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height * 0.7;
-        const color = randomHSL();
-        playSound(600, 0.08);
-        for (let i = 0; i < settings.burstParticles; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            particles.bursts.push(new Particle(
-                x, y,
-                Math.cos(angle) * (2 + Math.random() * 4),
-                Math.sin(angle) * (2 + Math.random() * 4),
-                color,
-                40 + Math.random() * 40,
-                2 + Math.random() * 3
-            ));
-        }
-    }
-    particles.bursts = particles.bursts.filter(p => {
-        const alive = p.update(0.15);
-        p.draw();
-        return alive;
+        glRenderer.resolution = gl.getUniformLocation(program, 'u_resolution');
+        glRenderer.buffer = buffer;
+    } catch (e) {
+        console.warn('WebGL renderer failed to initialize, using 2D renderer:', e);
+        return false;
+    }
+
+    glCanvas.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault();
+        console.warn('WebGL context lost, using 2D renderer');
+        glRenderer.active = false;
+        glRenderer.count = 0;
     });
+
+    glRenderer.canvas = glCanvas;
+    glRenderer.gl = gl;
+    glRenderer.active = true;
+    return true;
 }
 
-function updateFountains() {
-    if (!state.fountains) return;
-    for (let i = 0; i < settings.fountainRate; i++) {
-        particles.fountains.push(new Particle(
-            canvas.width / 2 + (Math.random() - 0.5) * 150,
-            canvas.height,
-            (Math.random() - 0.5) * 6,
-            -(12 + Math.random() * 9) * settings.fountainVel,
-            randomHSL(),
-            80 + Math.random() * 40,
-            2 + Math.random() * 2
-        ));
+function queueSprite(x, y, size, color, alpha, sprite) {
+    if ((glRenderer.count + 1) * GL_INSTANCE_FLOATS > glRenderer.data.length) {
+        const grown = new Float32Array(glRenderer.data.length * 2);
+        grown.set(glRenderer.data);
+        glRenderer.data = grown;
+        const gl = glRenderer.gl;
+        gl.bufferData(gl.ARRAY_BUFFER, grown.byteLength, gl.DYNAMIC_DRAW);
     }
-    particles.fountains = particles.fountains.filter(p => {
-        const alive = p.update(0.2);
-        p.draw();
-        return alive && p.y < canvas.height;
-    });
+    const rgb = colorToRGB(color);
+    const i = glRenderer.count++ * GL_INSTANCE_FLOATS;
+    const data = glRenderer.data;
+    data[i] = x;
+    data[i + 1] = y;
+    data[i + 2] = size;
+    data[i + 3] = rgb[0];
+    data[i + 4] = rgb[1];
+    data[i + 5] = rgb[2];
+    data[i + 6] = alpha;
+    data[i + 7] = sprite;
 }
 
-function updateStars() {
-    if (!state.stars) return;
-    if (particles.stars.length < settings.starCount) {
-        particles.stars.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height * 0.8,
-            size: (2 + Math.random() * 3) * settings.particleSize,
-            color: randomHSL(),
-            twinkle: Math.random() * Math.PI * 2,
-            speed: 0.02 + Math.random() * 0.03
-        });
+function flushSprites() {
+    if (!glRenderer.active) return;
+    const { gl, canvas: glCanvas } = glRenderer;
+    if (glCanvas.width !== canvas.width || glCanvas.height !== canvas.height) {
+        glCanvas.width = canvas.width;
+        glCanvas.height = canvas.height;
     }
-    particles.stars.forEach(s => {
-        s.twinkle += s.speed;
-        s.y += Math.sin(s.twinkle) * 0.5;
-        ctx.globalAlpha = 0.5 + Math.sin(s.twinkle) * 0.5;
+    gl.viewport(0, 0, glCanvas.width, glCanvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (glRenderer.count > 0) {
+        gl.uniform2f(glRenderer.resolution, glCanvas.width, glCanvas.height);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, glRenderer.data, 0, glRenderer.count * GL_INSTANCE_FLOATS);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, glRenderer.count);
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.drawImage(glCanvas, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+    glRenderer.count = 0;
+}
+
+// Sprite atlas: the generated sprites side by side in one canvas
+function buildSpriteAtlas() {
+    const sprites = assets.particleSprites;
+    const atlas = createCanvas();
+    atlas.width = sprites[0].width * sprites.length;
+    atlas.height = sprites[0].height;
+    const atlasCtx = atlas.getContext('2d');
+    sprites.forEach((sprite, i) => atlasCtx.drawImage(sprite, i * sprite.width, 0));
+    return atlas;
+}
+
+// 3D view, rendered with three.js where the page loads it. The simulation
+// keeps screen coordinates plus a depth `z`; the view maps them into a
+// world with y up and the ground at 0, looking at the middle of the sky
+// from a camera that slowly orbits, or that the user drags around. Every
+// particle is an additive point sprite, so no depth sorting is needed, and
+// the result is composited onto the 2D canvas like the WebGL renderer's.
+// Smoke, reflections and the aim guide are 2D-only.
+const view3D = {
+    active: false,
+    renderer: null,
+    scene: null,
+    camera: null,
+    geometry: null,
+    material: null,
+    raycaster: null,
+    capacity: 0,
+    count: 0,
+    positions: null,
+    tints: null,
+    sizes: null,
+    sprites: null,
+    distance: 1
+};
+
+// Camera orbit, part of the simulation because flat shells face it
+const CAMERA_3D_START = {
+    yaw: 0,
+    pitch: 0.12,
+    orbiting: true
+};
+const camera3D = { ...CAMERA_3D_START };
+
+const ORBIT_SPEED = 0.05;
+const MAX_CAMERA_PITCH = 1.2;
+// Camera distance as a share of the larger canvas side
+const CAMERA_DISTANCE = 0.9;
+
+const POINT_VERTEX_SHADER = `
+attribute vec4 tint;
+attribute float size;
+attribute float sprite;
+uniform float cameraDistance;
+varying vec4 vTint;
+varying float vSprite;
+void main() {
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = size * 2.0 * cameraDistance / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+    vTint = tint;
+    vSprite = sprite;
+}`;
+
+const POINT_FRAGMENT_SHADER = `
+uniform sampler2D sprites;
+uniform float spriteCount;
+varying vec4 vTint;
+varying float vSprite;
+void main() {
+    vec2 uv = vec2((vSprite + gl_PointCoord.x) / spriteCount, 1.0 - gl_PointCoord.y);
+    float a = texture2D(sprites, uv).a * vTint.a;
+    gl_FragColor = vec4(vTint.rgb * a + vec3(pow(a, 4.0) * 0.6), a);
+}`;
+
+function initView3D() {
+    if (typeof THREE === 'undefined') {
+        console.warn('three.js is not loaded, 3D view unavailable');
+        return false;
+    }
+    let renderer;
+    try {
+        renderer = new THREE.WebGLRenderer({ canvas: document.createElement('canvas'), alpha: true, antialias: false });
+    } catch (e) {
+        console.warn('3D view failed to initialize:', e);
+        return false;
+    }
+    renderer.setPixelRatio(1);
+    renderer.setClearColor(0x000000, 0);
+    renderer.domElement.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault();
+        console.warn('3D view context lost, using 2D renderer');
+        view3D.active = false;
+    });
+
+    const atlas = new THREE.CanvasTexture(buildSpriteAtlas());
+    view3D.material = new THREE.ShaderMaterial({
+        uniforms: {
+            sprites: { value: atlas },
+            spriteCount: { value: assets.particleSprites.length },
+            cameraDistance: { value: 1 }
+        },
+        vertexShader: POINT_VERTEX_SHADER,
+        fragmentShader: POINT_FRAGMENT_SHADER,
+        blending: THREE.CustomBlending,
+        blendSrc: THREE.OneFactor,
+        blendDst: THREE.OneFactor,
+        depthTest: false,
+        depthWrite: false,
+        transparent: true
+    });
+    view3D.geometry = new THREE.BufferGeometry();
+    growView3D(16384);
+    const points = new THREE.Points(view3D.geometry, view3D.material);
+    points.frustumCulled = false;
+
+    view3D.scene = new THREE.Scene();
+    view3D.scene.add(points);
+    view3D.camera = new THREE.PerspectiveCamera(45, 1, 1, 10000);
+    view3D.raycaster = new THREE.Raycaster();
+    view3D.renderer = renderer;
+    return true;
+}
+
+function growView3D(capacity) {
+    const grow = (old, size) => {
+        const data = new Float32Array(capacity * size);
+        if (old) data.set(old);
+        return data;
+    };
+    view3D.positions = grow(view3D.positions, 3);
+    view3D.tints = grow(view3D.tints, 4);
+    view3D.sizes = grow(view3D.sizes, 1);
+    view3D.sprites = grow(view3D.sprites, 1);
+    const geometry = view3D.geometry;
+    geometry.setAttribute('position', new THREE.BufferAttribute(view3D.positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('tint', new THREE.BufferAttribute(view3D.tints, 4).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('size', new THREE.BufferAttribute(view3D.sizes, 1).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('sprite', new THREE.BufferAttribute(view3D.sprites, 1).setUsage(THREE.DynamicDrawUsage));
+    view3D.capacity = capacity;
+}
+
+// Queues a point at simulation coordinates (x, y, z)
+function addPoint3D(x, y, z, size, color, alpha, sprite) {
+    if (view3D.count >= view3D.capacity) growView3D(view3D.capacity * 2);
+    const i = view3D.count++;
+    const rgb = colorToRGB(color);
+    view3D.positions[i * 3] = x - canvas.width / 2;
+    view3D.positions[i * 3 + 1] = canvas.height - y;
+    view3D.positions[i * 3 + 2] = z;
+    view3D.tints[i * 4] = rgb[0];
+    view3D.tints[i * 4 + 1] = rgb[1];
+    view3D.tints[i * 4 + 2] = rgb[2];
+    view3D.tints[i * 4 + 3] = alpha;
+    view3D.sizes[i] = size;
+    view3D.sprites[i] = sprite;
+}
+
+// Default 3D drawing for emitters without draw3D(): particles with a
+// life fade out over it, others stay fully lit
+function drawPoints3D(list) {
+    if (list instanceof ParticlePool) {
+        list.draw3D();
+        return;
+    }
+    list.forEach(p => {
+        const alpha = p.maxLife ? p.life / p.maxLife : 1;
+        addPoint3D(p.x, p.y, p.z || 0, p.size, p.color, alpha, p.sprite || 0);
+    });
+}
+
+// At yaw 0 the ground-level plane z = 0 fills the view exactly as the 2D
+// canvas would, so switching views keeps the framing
+function placeCamera3D() {
+    const camera = view3D.camera;
+    const distance = Math.max(canvas.width, canvas.height) * CAMERA_DISTANCE;
+    view3D.distance = distance;
+    camera.fov = 2 * Math.atan(canvas.height / 2 / distance) * 180 / Math.PI;
+    camera.aspect = canvas.width / canvas.height;
+    camera.far = distance * 4;
+    camera.updateProjectionMatrix();
+    const { yaw, pitch } = camera3D;
+    camera.position.set(
+        Math.sin(yaw) * Math.cos(pitch) * distance,
+        canvas.height / 2 + Math.sin(pitch) * distance,
+        Math.cos(yaw) * Math.cos(pitch) * distance
+    );
+    camera.lookAt(0, canvas.height / 2, 0);
+}
+
+function updateCamera3D(dt) {
+    if (view3D.active && camera3D.orbiting) camera3D.yaw += ORBIT_SPEED * dt;
+}
+
+function renderView3D() {
+    view3D.count = 0;
+    drawPoints3D(particles.embers);
+    MODES.forEach(name => {
+        const emitter = emitters[name];
+        if (emitter.draw3D) emitter.draw3D();
+        else emitter.particles.forEach(key => drawPoints3D(particles[key]));
+    });
+
+    const renderer = view3D.renderer;
+    const size = renderer.getSize(new THREE.Vector2());
+    if (size.x !== canvas.width || size.y !== canvas.height) renderer.setSize(canvas.width, canvas.height, false);
+    placeCamera3D();
+    view3D.material.uniforms.cameraDistance.value = view3D.distance;
+    const geometry = view3D.geometry;
+    ['position', 'tint', 'size', 'sprite'].forEach(name => { geometry.attributes[name].needsUpdate = true; });
+    geometry.setDrawRange(0, view3D.count);
+    renderer.render(view3D.scene, view3D.camera);
+
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.drawImage(renderer.domElement, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+// Simulation coordinates of the point under (x, y) on the canvas, on the
+// plane through the middle of the sky facing the camera
+function pickPoint3D(x, y) {
+    placeCamera3D();
+    const camera = view3D.camera;
+    const ndc = new THREE.Vector2(x / canvas.width * 2 - 1, 1 - y / canvas.height * 2);
+    view3D.raycaster.setFromCamera(ndc, camera);
+    const target = new THREE.Vector3(0, canvas.height / 2, 0);
+    const normal = camera.position.clone().sub(target).normalize();
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, target);
+    const hit = view3D.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!hit) return { x, y, z: 0 };
+    return { x: hit.x + canvas.width / 2, y: canvas.height - hit.y, z: hit.z };
+}
+
+// Switches renderer, falling back to the 2D path if `name` can't start.
+// In worker mode the worker switches; it has no three.js for the 3D view.
+function setRenderer(name) {
+    if (host.worker) return name !== '3d';
+    if (name === 'webgl' && !glRenderer.gl) initWebGLRenderer();
+    if (name === '3d' && !view3D.renderer) initView3D();
+    glRenderer.active = name === 'webgl' && Boolean(glRenderer.gl) && !glRenderer.gl.isContextLost();
+    glRenderer.count = 0;
+    view3D.active = name === '3d' && Boolean(view3D.renderer) && !view3D.renderer.getContext().isContextLost();
+    return glRenderer.active || view3D.active;
+}
+
+// Depth for the 3D view. While it is active rockets launch at a random
+// depth and each burst's flat velocity pattern is wrapped onto a sphere
+// around the shell, or for `flat` shells turned to face the camera. Depth
+// draws from its own generator so the 2D simulation's random() sequence is
+// the same whichever view is showing.
+const DEPTH_SEED_SALT = 0x3d3d3d3d;
+let depthRandom = createRandom(seed ^ DEPTH_SEED_SALT);
+
+// Depth and orientation of the shell currently bursting (see burstShell)
+const burstFrame = {
+    z: 0,
+    flat: false
+};
+
+function launchDepth() {
+    return view3D.active ? (depthRandom() - 0.5) * canvas.width * 0.8 : 0;
+}
+
+// Bursts `shell` at (x, y, z) so the stars it adds start at that depth.
+// Nothing bursts while the governor has spawning capped.
+function burstShell(shell, x, y, z, color, scale) {
+    if (perf.spawnScale === 0) return;
+    const previous = { ...burstFrame };
+    burstFrame.z = z;
+    burstFrame.flat = Boolean(shellTypes[shell].flat);
+    shellTypes[shell].burst(x, y, color, scale);
+    Object.assign(burstFrame, previous);
+}
+
+// Returns [vx, vy, vz] for a star the shell gave a 2D velocity
+function depthVelocity(vx, vy) {
+    if (!view3D.active) return [vx, vy, 0];
+    if (burstFrame.flat) {
+        return [vx * Math.cos(camera3D.yaw), vy, -vx * Math.sin(camera3D.yaw)];
+    }
+    // Tilting each star out of the screen by a uniform height on the unit
+    // sphere spreads an evenly spaced ring evenly over the sphere
+    const lift = depthRandom() * 2 - 1;
+    const spread = Math.sqrt(1 - lift * lift);
+    return [vx * spread, vy * spread, Math.hypot(vx, vy) * lift];
+}
+
+// Adds a single star to the rocketExplosions pipeline. Options override
+// the peony defaults: `life` is in seconds, `gravity` in px/s² and `drag`
+// is the fraction of velocity kept after one second. `trail` is the number
+// of trail points to keep and `children` is a list of child emitters (see
+// childEmitters) run over the star's life or when it dies. A star with a
+// `target` point eases there and stays for `hold` seconds before physics
+// takes over. `vz` sets the depth velocity directly, for stars that carry
+// on from a parent; otherwise it comes from depthVelocity().
+function addStar(x, y, vx, vy, color, options = {}) {
+    const life = options.life || settings.explosionLife + random() * 0.67;
+    let vz = options.vz || 0;
+    if (options.vz === undefined) [vx, vy, vz] = depthVelocity(vx, vy);
+    const starColor = Array.isArray(color) ? color[Math.floor(random() * color.length)] : color;
+    const size = options.size || 2 + random() * 2;
+    const sparkle = options.sparkle !== undefined ? options.sparkle : random() > 0.5;
+
+    const stars = particles.rocketExplosions;
+    const i = stars.add(x, y, vx, vy, starColor, life, size, options.drag || 0.3);
+    stars.z[i] = burstFrame.z;
+    stars.vz[i] = vz;
+    stars.gravity[i] = options.gravity !== undefined ? options.gravity : 432;
+    stars.sparkle[i] = sparkle ? 1 : 0;
+    stars.hidden[i] = options.hidden ? 1 : 0;
+    stars.depth[i] = childDepth;
+    stars.setTrail(i, options.trail || 0);
+    stars.children[i] = options.children || null;
+    stars.childTimers[i] = options.children ? options.children.map(() => 0) : null;
+
+    const target = options.target;
+    stars.targeted[i] = target ? 1 : 0;
+    if (!target) return;
+    // In 3D the target outline turns to face the camera like flat shells
+    const offset = target.x - x;
+    stars.targetX[i] = view3D.active ? x + offset * Math.cos(camera3D.yaw) : target.x;
+    stars.targetY[i] = target.y;
+    stars.targetZ[i] = view3D.active ? burstFrame.z - offset * Math.sin(camera3D.yaw) : burstFrame.z;
+    stars.hold[i] = options.hold || 0;
+}
+
+// Child spawning. An emitter is `{ spawn(parent) }`, run once when the
+// parent dies, or `{ every, spawn(parent) }`, run every `every` seconds
+// while it lives. Stars added inside spawn() are one generation deeper;
+// generations past MAX_CHILD_DEPTH don't emit, over-lifetime emitters
+// pause while the explosion list is above MAX_EXPLOSION_STARS, and nothing
+// emits while the governor has spawning capped.
+const MAX_CHILD_DEPTH = 3;
+const MAX_EXPLOSION_STARS = 30000;
+let childDepth = 0;
+
+function spawnChildren(parent, emitter) {
+    if (parent.depth >= MAX_CHILD_DEPTH || perf.spawnScale === 0) return;
+    if (emitter.every && particles.rocketExplosions.length > MAX_EXPLOSION_STARS) return;
+    childDepth = parent.depth + 1;
+    burstFrame.z = parent.z;
+    emitter.spawn(parent);
+    burstFrame.z = 0;
+    childDepth = 0;
+}
+
+// Reusable emitters for shell definitions
+const childEmitters = {
+    // Burst of short white sparks with a crackle when the parent dies
+    crackle(count = 8) {
+        return {
+            spawn(star) {
+                playCrackle(star.x, star.y, 0.15, count / 2);
+                for (let i = 0; i < count; i++) {
+                    const angle = random() * Math.PI * 2;
+                    const speed = 60 + random() * 120;
+                    addStar(star.x, star.y, Math.cos(angle) * speed, Math.sin(angle) * speed, '#fff8e0', {
+                        life: 0.15 + random() * 0.15,
+                        size: 1 + random(),
+                        sparkle: true
+                    });
+                }
+            }
+        };
+    },
+    // Bright flashes at the (usually hidden) parent's position
+    strobe(period = 0.15) {
+        return {
+            every: period,
+            spawn(star) {
+                addStar(star.x, star.y, 0, 0, '#ffffff', {
+                    vz: 0,
+                    life: 0.06,
+                    size: star.size * 1.5,
+                    gravity: 0,
+                    sparkle: false
+                });
+            }
+        };
+    },
+    // Dim sparks shed behind the parent as it flies
+    comet(period = 0.03) {
+        return {
+            every: period,
+            spawn(star) {
+                addStar(star.x, star.y, star.vx * 0.1, star.vy * 0.1, star.color, {
+                    vz: star.vz * 0.1,
+                    life: 0.3 + random() * 0.3,
+                    size: star.size * 0.6,
+                    gravity: 60,
+                    sparkle: false
+                });
+            }
+        };
+    },
+    // A further shell of `type` bursting where the parent dies
+    secondary(type = 'peony', scale = 0.4) {
+        return {
+            spawn(star) {
+                const shell = type === 'random' ? ['peony', 'ring', 'chrysanthemum'][Math.floor(random() * 3)] : type;
+                playBoom(star.x, star.y, scale);
+                burstShell(shell, star.x, star.y, star.z, star.color, scale);
+                addExplosionAtmosphere(star.x, star.y, star.color, scale);
+            }
+        };
+    }
+};
+
+// Adds stars whose velocities trace a closed outline given as
+// unit-scale points, so the burst expands into that shape
+function addShapedStars(x, y, color, outline, speed) {
+    outline.forEach(pt => {
+        addStar(x, y, pt.x * speed, pt.y * speed, color, {
+            life: 1.5 + random() * 0.33,
+            gravity: 108,
+            drag: 0.09,
+            sparkle: false
+        });
+    });
+}
+
+// Shell type catalog. Each entry bursts at (x, y) by adding stars via
+// addStar(); `weight` controls how often it is picked at random,
+// `crackle` adds glitter crackle to the boom, `flat` keeps the pattern
+// facing the camera in the 3D view and `scale` (optional) shrinks the
+// star count for secondary breaks.
+const shellTypes = {
+    peony: {
+        label: 'Peony',
+        weight: 5,
+        burst(x, y, color, scale = 1) {
+            const count = shellStarCount(scale);
+            for (let i = 0; i < count; i++) {
+                const angle = (Math.PI * 2 * i) / count;
+                const speed = 240 + random() * 240;
+                addStar(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed, color);
+            }
+        }
+    },
+    chrysanthemum: {
+        label: 'Chrysanthemum',
+        weight: 4,
+        crackle: true,
+        burst(x, y, color) {
+            const count = shellStarCount();
+            for (let i = 0; i < count; i++) {
+                const angle = (Math.PI * 2 * i) / count;
+                const speed = 240 + random() * 240;
+                addStar(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed, color, {
+                    life: 1.5 + random() * 0.67,
+                    sparkle: true,
+                    trail: 6
+                });
+            }
+        }
+    },
+    willow: {
+        label: 'Willow',
+        weight: 2,
+        crackle: true,
+        burst(x, y) {
+            const count = shellStarCount(0.8);
+            for (let i = 0; i < count; i++) {
+                const angle = random() * Math.PI * 2;
+                const speed = 120 + random() * 180;
+                addStar(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed, `hsl(${40 + random() * 10}, 100%, 60%)`, {
+                    life: 2.67 + random(),
+                    size: 1.5 + random(),
+                    gravity: 144,
+                    drag: 0.16,
+                    sparkle: true,
+                    trail: 12
+                });
+            }
+        }
+    },
+    palm: {
+        label: 'Palm',
+        weight: 2,
+        burst(x, y, color) {
+            const fronds = 7 + Math.floor(random() * 3);
+            const offset = random() * Math.PI * 2;
+            for (let i = 0; i < fronds; i++) {
+                const angle = offset + (Math.PI * 2 * i) / fronds;
+                // Several stars per frond at decreasing speed give a thick branch
+                for (let j = 0; j < 6; j++) {
+                    const speed = 540 - j * 48;
+                    addStar(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed, color, {
+                        life: 1.5 + random() * 0.33,
+                        size: 3 + random(),
+                        gravity: 360,
+                        drag: 0.4,
+                        trail: 10
+                    });
+                }
+            }
+        }
+    },
+    ring: {
+        label: 'Ring',
+        weight: 2,
+        flat: true,
+        burst(x, y, color) {
+            const count = shellStarCount(0.5);
+            const tilt = random() * Math.PI;
+            const squash = 0.3 + random() * 0.7;
+            for (let i = 0; i < count; i++) {
+                const angle = (Math.PI * 2 * i) / count;
+                const rx = Math.cos(angle) * 360;
+                const ry = Math.sin(angle) * 360 * squash;
+                addStar(x, y,
+                    rx * Math.cos(tilt) - ry * Math.sin(tilt),
+                    rx * Math.sin(tilt) + ry * Math.cos(tilt),
+                    color, { gravity: 216, drag: 0.16, sparkle: false });
+            }
+        }
+    },
+    crossette: {
+        label: 'Crossette',
+        weight: 2,
+        burst(x, y, color) {
+            const count = 12;
+            for (let i = 0; i < count; i++) {
+                const angle = (Math.PI * 2 * i) / count;
+                addStar(x, y, Math.cos(angle) * 300, Math.sin(angle) * 300, color, {
+                    life: 0.67 + random() * 0.17,
+                    size: 3,
+                    trail: 4,
+                    children: [{
+                        spawn(star) {
+                            playCrackle(star.x, star.y, 0.1, 3);
+                            const turn = random() * Math.PI / 2;
+                            for (let k = 0; k < 4; k++) {
+                                const a = turn + (Math.PI / 2) * k;
+                                addStar(star.x, star.y, star.vx + Math.cos(a) * 180, star.vy + Math.sin(a) * 180, color, {
+                                    vz: star.vz,
+                                    life: 0.5 + random() * 0.25,
+                                    trail: 4
+                                });
+                            }
+                        }
+                    }]
+                });
+            }
+        }
+    },
+    heart: {
+        label: 'Heart',
+        weight: 1,
+        flat: true,
+        burst(x, y, color) {
+            const count = shellStarCount();
+            const outline = [];
+            for (let i = 0; i < count; i++) {
+                const t = (Math.PI * 2 * i) / count;
+                outline.push({
+                    x: Math.pow(Math.sin(t), 3),
+                    y: -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) / 16
+                });
+            }
+            addShapedStars(x, y, color, outline, 360);
+        }
+    },
+    star: {
+        label: 'Star',
+        weight: 1,
+        flat: true,
+        burst(x, y, color) {
+            const points = 5;
+            const perEdge = Math.max(2, Math.round(shellStarCount() / (points * 2)));
+            const corners = [];
+            for (let i = 0; i < points * 2; i++) {
+                const angle = -Math.PI / 2 + (Math.PI * i) / points;
+                const r = i % 2 === 0 ? 1 : 0.45;
+                corners.push({ x: Math.cos(angle) * r, y: Math.sin(angle) * r });
+            }
+            const outline = [];
+            corners.forEach((a, i) => {
+                const b = corners[(i + 1) % corners.length];
+                for (let j = 0; j < perEdge; j++) {
+                    const t = j / perEdge;
+                    outline.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+                }
+            });
+            addShapedStars(x, y, color, outline, 420);
+        }
+    },
+    multiBreak: {
+        label: 'Multi-break',
+        weight: 1,
+        burst(x, y, color) {
+            shellTypes.peony.burst(x, y, color, 0.6);
+            // Invisible carriers hold position until the next break fires
+            [0.4, 0.8].forEach(delay => {
+                addStar(x, y, 0, 0, shellColor(), {
+                    life: delay,
+                    gravity: 0,
+                    hidden: true,
+                    children: [childEmitters.secondary('peony', 0.5)]
+                });
+            });
+        }
+    },
+    strobe: {
+        label: 'Strobe',
+        weight: 1,
+        burst(x, y, color) {
+            const count = Math.max(12, shellStarCount(0.25));
+            for (let i = 0; i < count; i++) {
+                const angle = random() * Math.PI * 2;
+                const speed = 60 + random() * 180;
+                addStar(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed, color, {
+                    life: 1.5 + random() * 0.7,
+                    gravity: 120,
+                    hidden: true,
+                    children: [childEmitters.strobe(0.12 + random() * 0.08)]
+                });
+            }
+        }
+    },
+    comet: {
+        label: 'Comet',
+        weight: 1,
+        crackle: true,
+        burst(x, y, color) {
+            const count = 10;
+            for (let i = 0; i < count; i++) {
+                const angle = (Math.PI * 2 * i) / count + random() * 0.3;
+                addStar(x, y, Math.cos(angle) * 280, Math.sin(angle) * 280, color, {
+                    life: 1.1 + random() * 0.3,
+                    size: 3,
+                    sparkle: false,
+                    children: [childEmitters.comet(), childEmitters.crackle()]
+                });
+            }
+        }
+    },
+    // Rising stages that each climb on a comet tail and break again
+    multiStage: {
+        label: 'Multi-stage',
+        weight: 1,
+        burst(x, y, color) {
+            const stages = 3 + Math.floor(random() * 2);
+            for (let i = 0; i < stages; i++) {
+                const angle = -Math.PI / 2 + (i / (stages - 1) - 0.5) * 1.6;
+                addStar(x, y, Math.cos(angle) * 240, Math.sin(angle) * 240, shellColor(), {
+                    life: 0.6 + random() * 0.3,
+                    size: 2.5,
+                    gravity: 200,
+                    sparkle: false,
+                    children: [childEmitters.comet(0.02), childEmitters.secondary('random', 0.45)]
+                });
+            }
+        }
+    },
+    // Never picked at random; fired from the shape controls or chosen
+    // explicitly, and falls back to a peony until a shape is sampled
+    shape: {
+        label: 'Text / Image',
+        weight: 0,
+        flat: true,
+        burst(x, y, color) {
+            if (shapeShell.points.length) addShapeStars(x, y, color);
+            else shellTypes.peony.burst(x, y, color);
+        }
+    }
+};
+
+// Shaped shells: a word or an image is sampled on an offscreen canvas
+// into unit-scale target points. The stars burst from the shell, ease
+// into the shape, hold it briefly and are then released to fall. The page
+// samples the shape and logs it as an input, thinned to at most
+// SHAPE_LOGGED_POINTS; setShape() then picks the stars' targets with
+// random() so replays choose the same ones.
+const SHAPE_MAX_POINTS = 600;
+const SHAPE_LOGGED_POINTS = 2400;
+const SHAPE_SAMPLE_SIZE = 160;
+const SHAPE_HOLD_TIME = 1.6;
+const SHAPE_IMAGES = {
+    'dessert-images/mochi.jpg': 'Mochi',
+    'dessert-images/ice-cream.jpg': 'Ice Cream',
+    'dessert-images/beaver-tails.jpg': 'Beaver Tails',
+    'dessert-images/dragons-beard.jpg': "Dragon's Beard",
+    'dessert-images/shaved-ice.jpg': 'Shaved Ice'
+};
+
+const shapeShell = {
+    points: [],
+    // Per-point colors when sampled from an image, null for text
+    colors: null,
+    // The last logged shape input, re-logged when a new run starts
+    source: null
+};
+
+// Collects pixels that belong to the shape: opaque pixels when the source
+// has transparency, otherwise strong luminance edges so photos read as
+// outlines rather than solid rectangles
+function shapeMask(image, width, height) {
+    const hasAlpha = image.data.some((v, i) => i % 4 === 3 && v < 128);
+    const luminance = (i) => image.data[i] * 0.3 + image.data[i + 1] * 0.59 + image.data[i + 2] * 0.11;
+    const mask = [];
+    for (let y = 0; y < height - 1; y++) {
+        for (let x = 0; x < width - 1; x++) {
+            const i = (y * width + x) * 4;
+            const inside = hasAlpha
+                ? image.data[i + 3] >= 128
+                : Math.abs(luminance(i) - luminance(i + 4)) + Math.abs(luminance(i) - luminance(i + width * 4)) > 48;
+            if (inside) mask.push({ x, y, i });
+        }
+    }
+    return mask;
+}
+
+function sampleShape(draw, width, height, useColors) {
+    const sampler = document.createElement('canvas');
+    sampler.width = width;
+    sampler.height = height;
+    const g = sampler.getContext('2d');
+    draw(g);
+    const image = g.getImageData(0, 0, width, height);
+    const mask = shapeMask(image, width, height);
+
+    const stride = Math.max(1, Math.ceil(mask.length / SHAPE_LOGGED_POINTS));
+    const kept = mask.filter((p, i) => i % stride === 0);
+    const scale = Math.max(width, height);
+    input('shape', {
+        points: kept.map(p => ({ x: (p.x - width / 2) / scale, y: (p.y - height / 2) / scale })),
+        colors: useColors
+            ? kept.map(p => `rgb(${image.data[p.i]}, ${image.data[p.i + 1]}, ${image.data[p.i + 2]})`)
+            : null
+    });
+}
+
+// Random subset so dense shapes stay within the particle budget
+function setShape({ points, colors }) {
+    const order = points.map((p, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    const chosen = order.slice(0, SHAPE_MAX_POINTS);
+    shapeShell.source = { points, colors };
+    shapeShell.points = chosen.map(i => points[i]);
+    shapeShell.colors = colors ? chosen.map(i => colors[i]) : null;
+}
+
+function setShapeText(text) {
+    const font = `bold ${SHAPE_SAMPLE_SIZE / 2}px Arial, sans-serif`;
+    const measure = document.createElement('canvas').getContext('2d');
+    measure.font = font;
+    const width = Math.max(1, Math.ceil(measure.measureText(text).width) + 8);
+    const height = Math.ceil(SHAPE_SAMPLE_SIZE * 0.7);
+    sampleShape(g => {
+        g.font = font;
+        g.fillStyle = '#fff';
+        g.textAlign = 'center';
+        g.textBaseline = 'middle';
+        g.fillText(text, width / 2, height / 2);
+    }, width, height, false);
+}
+
+function setShapeImage(img) {
+    const fit = SHAPE_SAMPLE_SIZE / Math.max(img.width, img.height);
+    const width = Math.max(1, Math.round(img.width * fit));
+    const height = Math.max(1, Math.round(img.height * fit));
+    sampleShape(g => g.drawImage(img, 0, 0, width, height), width, height, true);
+}
+
+function addShapeStars(x, y, color) {
+    const size = Math.min(canvas.width * 0.7, 520);
+    const count = Math.min(shapeShell.points.length, Math.max(Math.round(200 * perf.spawnScale), shellStarCount()));
+    for (let i = 0; i < count; i++) {
+        const pt = shapeShell.points[i];
+        addStar(x, y, 0, 0, shapeShell.colors ? shapeShell.colors[i] : color, {
+            life: SHAPE_HOLD_TIME + 1 + random() * 0.5,
+            size: 1.5 + random(),
+            sparkle: false,
+            target: { x: x + pt.x * size, y: y + pt.y * size },
+            hold: SHAPE_HOLD_TIME
+        });
+    }
+}
+
+function fireShapeShell() {
+    input('launch', { x: canvas.width / 2, y: canvas.height * 0.35, shell: 'shape' });
+}
+
+function loadShapeImage(src) {
+    const img = new Image();
+    img.onload = () => {
+        try {
+            setShapeImage(img);
+            fireShapeShell();
+        } catch (e) {
+            console.warn('Failed to read shape image:', e);
+            showStatus('Could not read that image: ' + e.message);
+        }
+    };
+    img.onerror = () => {
+        console.warn(`Failed to load shape image ${src}`);
+        showStatus('Could not load that image.');
+    };
+    img.src = src;
+}
+
+function initShapeControls() {
+    const textInput = document.getElementById('shapeText');
+    const sourceSelect = document.getElementById('shapeSource');
+    const fileInput = document.getElementById('shapeFile');
+
+    sourceSelect.add(new Option('Text', 'text'));
+    Object.entries(SHAPE_IMAGES).forEach(([src, label]) => {
+        sourceSelect.add(new Option(label, src));
+    });
+    setShapeText(textInput.value || '★');
+
+    textInput.addEventListener('input', () => {
+        sourceSelect.value = 'text';
+        setShapeText(textInput.value || '★');
+    });
+    sourceSelect.addEventListener('change', () => {
+        if (sourceSelect.value === 'text') setShapeText(textInput.value || '★');
+        else loadShapeImage(sourceSelect.value);
+    });
+    document.getElementById('shapeFire').addEventListener('click', fireShapeShell);
+    document.getElementById('shapePick').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        const url = URL.createObjectURL(file);
+        loadShapeImage(url);
+        // Revoke once the image has had a chance to decode
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    });
+}
+
+function pickShellType() {
+    if (shellTypes[settings.shellType]) return settings.shellType;
+    const entries = Object.entries(shellTypes);
+    const total = entries.reduce((sum, [, type]) => sum + type.weight, 0);
+    let roll = random() * total;
+    for (const [key, type] of entries) {
+        roll -= type.weight;
+        if (roll < 0) return key;
+    }
+    return 'peony';
+}
+
+class Rocket {
+    // color may be a single color or a palette array that stars pick from
+    constructor(x, targetY, shell, color, z) {
+        this.x = x !== undefined ? x : random() * canvas.width;
+        this.y = canvas.height;
+        this.z = z !== undefined ? z : launchDepth();
+        this.targetY = targetY !== undefined ? targetY : canvas.height * (0.2 + random() * 0.3);
+        this.speed = settings.rocketSpeed * (1 + random() * 0.5);
+        this.color = color || shellColor();
+        this.shell = shell || pickShellType();
+        this.trail = [];
+    }
+    update(dt) {
+        this.trail.push({x: this.x, y: this.y});
+        if (this.trail.length > 10) this.trail.shift();
+        // Clamp so the explosion lands exactly on the target
+        this.y = Math.max(this.y - this.speed * dt, this.targetY);
+        return this.y > this.targetY;
+    }
+    draw() {
+        const trailColor = Array.isArray(this.color) ? this.color[0] : this.color;
+        ctx.strokeStyle = trailColor;
+        ctx.lineWidth = 3;
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = trailColor;
+        ctx.beginPath();
+        this.trail.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.lineTo(this.x, this.y);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    }
+    explode() {
+        const type = shellTypes[this.shell];
+        playBoom(this.x, this.y);
+        if (type.crackle) playCrackle(this.x, this.y, 1.2, 40, 0.4);
+        // Seeded (shared) launches burst the same way on every screen
+        if (this.seed !== undefined) {
+            withSeed(this.seed, () => burstShell(this.shell, this.x, this.y, this.z, this.color));
+        } else {
+            burstShell(this.shell, this.x, this.y, this.z, this.color);
+        }
+        addExplosionAtmosphere(this.x, this.y, this.color, 1);
+    }
+}
+
+// Performance governor. Frame time is smoothed and compared with a budget
+// set by the `priority` setting; sustained overruns step the quality level
+// down (fewer spawns, no atmosphere, untinted dots) and sustained headroom
+// steps it back up. Separately, nothing new spawns while the total
+// particle count is over the renderer's hard cap.
+const GOVERNOR_LEVELS = [
+    { label: 'Full', spawnScale: 1, atmosphere: true, tint: true },
+    { label: 'Reduced', spawnScale: 0.75, atmosphere: true, tint: false },
+    { label: 'Low', spawnScale: 0.5, atmosphere: false, tint: false },
+    { label: 'Minimal', spawnScale: 0.3, atmosphere: false, tint: false }
+];
+// Frame budget in seconds and the lowest level each priority may reach
+const GOVERNOR_PRIORITIES = {
+    quality: { budget: 1 / 30, maxLevel: 2 },
+    smooth: { budget: 1 / 55, maxLevel: 3 }
+};
+const GOVERNOR_DOWN_AFTER = 0.5;
+const GOVERNOR_UP_AFTER = 3;
+const MAX_PARTICLES_2D = 20000;
+const MAX_PARTICLES_WEBGL = 150000;
+const STATS_INTERVAL = 0.5;
+
+const perf = {
+    level: 0,
+    frameTime: 1 / 60,
+    overTime: 0,
+    underTime: 0,
+    total: 0,
+    spawnScale: 1,
+    atmosphere: true,
+    tint: true,
+    statsTimer: 0
+};
+
+function setPerfLevel(level) {
+    perf.level = level;
+    perf.atmosphere = GOVERNOR_LEVELS[level].atmosphere;
+    perf.tint = GOVERNOR_LEVELS[level].tint;
+    perf.overTime = perf.underTime = 0;
+}
+
+function updatePerformance(frameTime) {
+    // Capped frames are usually a backgrounded tab rather than real load
+    if (frameTime < MAX_FRAME_TIME) perf.frameTime += (frameTime - perf.frameTime) * 0.1;
+    // During a replay the quality level follows the log instead
+    if (!replay.playing) adjustQuality(frameTime);
+    updateStats(frameTime);
+}
+
+function adjustQuality(frameTime) {
+    const priority = GOVERNOR_PRIORITIES[settings.priority] || GOVERNOR_PRIORITIES.smooth;
+    if (perf.frameTime > priority.budget) {
+        perf.overTime += frameTime;
+        perf.underTime = 0;
+    } else if (perf.frameTime < priority.budget * 0.6) {
+        perf.underTime += frameTime;
+        perf.overTime = 0;
+    }
+    // Level changes go through input() so replays degrade identically
+    if (perf.overTime > GOVERNOR_DOWN_AFTER && perf.level < priority.maxLevel) {
+        input('quality', { level: perf.level + 1 });
+    } else if (perf.underTime > GOVERNOR_UP_AFTER && perf.level > 0) {
+        input('quality', { level: perf.level - 1 });
+    } else if (perf.level > priority.maxLevel) {
+        input('quality', { level: priority.maxLevel });
+    }
+}
+
+// Runs every simulation step so the cap applies at the same step on replay
+function updateSpawnScale() {
+    perf.total = Object.values(particles).reduce((sum, list) => sum + list.length, 0);
+    const cap = glRenderer.active || view3D.active ? MAX_PARTICLES_WEBGL : MAX_PARTICLES_2D;
+    perf.spawnScale = perf.total > cap ? 0 : GOVERNOR_LEVELS[perf.level].spawnScale;
+}
+
+// The worker sends the text to the page, which shows or hides the overlay
+function updateStats(frameTime) {
+    if (!controlsReady && !IN_WORKER) return;
+    if (controlsReady) document.getElementById('stats').classList.toggle('visible', settings.showStats);
+    if (!settings.showStats) return;
+    perf.statsTimer -= frameTime;
+    if (perf.statsTimer > 0) return;
+    perf.statsTimer = STATS_INTERVAL;
+
+    const counts = Object.entries(particles)
+        .filter(([, list]) => list.length)
+        .map(([key, list]) => `  ${key}: ${list.length}`);
+    const text = [
+        `FPS: ${Math.round(1 / perf.frameTime)} (${(perf.frameTime * 1000).toFixed(1)}ms)`,
+        `Particles: ${perf.total}`,
+        ...counts,
+        `Renderer: ${view3D.active ? '3D' : glRenderer.active ? 'WebGL' : 'Canvas 2D'}`,
+        `Quality: ${GOVERNOR_LEVELS[perf.level].label}${perf.spawnScale === 0 ? ' (capped)' : ''}`
+    ].join('\n');
+    if (IN_WORKER) postToPage('stats', { text });
+    else document.getElementById('stats').textContent = text;
+}
+
+// Star count for a shell burst after the governor's scaling. The floor
+// keeps small bursts readable; burstShell() skips bursts entirely when capped.
+function shellStarCount(scale = 1) {
+    return Math.max(8, Math.round(settings.rocketParticles * scale * perf.spawnScale));
+}
+
+// Turns a per-second rate into a whole number of spawns for this step,
+// carrying the fraction over in `timers[key]`
+function spawnCount(key, perSecond, dt) {
+    spawnTimers[key] = (spawnTimers[key] || 0) + perSecond * perf.spawnScale * dt;
+    const count = Math.floor(spawnTimers[key]);
+    spawnTimers[key] -= count;
+    return count;
+}
+
+// Counts down `timers[key]` in milliseconds and returns how many spawns of
+// the given interval are due this step
+function spawnsDue(key, intervalMs, dt) {
+    spawnTimers[key] = (spawnTimers[key] || 0) - dt * 1000;
+    let count = 0;
+    while (spawnTimers[key] <= 0) {
+        spawnTimers[key] += intervalMs;
+        count++;
+    }
+    return count;
+}
+
+// Environment: wind is the horizontal air velocity in px/s that air drag
+// pulls particles toward, with gusts layered on top as smooth noise built
+// from a few incommensurate sines
+const environment = {
+    time: 0,
+    wind: 0
+};
+
+// Share of speed kept by a spark bouncing off the ground, and how much of
+// its remaining life it keeps
+const GROUND_RESTITUTION = 0.4;
+const GROUND_FRICTION = 0.7;
+const GROUND_LIFE_KEPT = 0.6;
+
+function updateEnvironment(dt) {
+    environment.time += dt;
+    const t = environment.time;
+    const gust = Math.sin(t * 0.7) * 0.5 + Math.sin(t * 1.9 + 1) * 0.3 + Math.sin(t * 4.3 + 2) * 0.2;
+    environment.wind = settings.wind + settings.gusts * gust;
+}
+
+// Relaxes a particle's velocity toward the air (still vertically, moving
+// with the wind horizontally) according to its drag and the global
+// air drag multiplier
+function applyAirDrag(pool, i, dt) {
+    const drag = pool.drag[i];
+    if (drag >= 1) return;
+    const keep = Math.pow(drag, dt * settings.airDrag);
+    pool.vx[i] = environment.wind + (pool.vx[i] - environment.wind) * keep;
+    pool.vy[i] *= keep;
+    pool.vz[i] *= keep;
+}
+
+function bounceOffGround(pool, i) {
+    if (pool.y[i] < canvas.height || pool.vy[i] <= 0) return;
+    pool.y[i] = canvas.height;
+    pool.vy[i] *= -GROUND_RESTITUTION;
+    pool.vx[i] *= GROUND_FRICTION;
+    pool.life[i] *= GROUND_LIFE_KEPT;
+}
+
+// Atmosphere: drifting smoke left by explosions and lit by later bursts,
+// a brief sky flash on big shells and embers that fall from burnt-out
+// stars. Each is capped so a busy sky costs a bounded amount per frame.
+const MAX_SMOKE_PUFFS = 80;
+const MAX_EMBERS = 400;
+const EMBER_CHANCE = 0.15;
+// How far a burst lights nearby smoke, in px
+const SMOKE_LIGHT_RADIUS = 300;
+
+const skyFlash = {
+    intensity: 0,
+    rgb: [1, 1, 1]
+};
+
+function addExplosionAtmosphere(x, y, color, size) {
+    const rgb = colorToRGB(Array.isArray(color) ? color[0] : color);
+    if (settings.smoke && perf.atmosphere) {
+        lightSmoke(x, y, rgb, size);
+        for (let i = Math.round(2 + size * 4); i > 0; i--) {
+            particles.smoke.push({
+                x: x + (random() - 0.5) * 80 * size,
+                y: y + (random() - 0.5) * 80 * size,
+                vx: (random() - 0.5) * 20,
+                vy: -5 - random() * 10,
+                radius: 30 + random() * 40 * size,
+                life: 6 + random() * 4,
+                maxLife: 10,
+                light: size,
+                rgb
+            });
+        }
+        if (particles.smoke.length > MAX_SMOKE_PUFFS) {
+            particles.smoke.splice(0, particles.smoke.length - MAX_SMOKE_PUFFS);
+        }
+    }
+    if (settings.skyFlash && size >= 0.8 && size >= skyFlash.intensity) {
+        skyFlash.intensity = size;
+        skyFlash.rgb = rgb;
+    }
+}
+
+function lightSmoke(x, y, rgb, size) {
+    particles.smoke.forEach(puff => {
+        const falloff = 1 - Math.hypot(puff.x - x, puff.y - y) / (SMOKE_LIGHT_RADIUS * size);
+        if (falloff > puff.light) {
+            puff.light = falloff;
+            puff.rgb = rgb;
+        }
+    });
+}
+
+// Maybe drops an ember from star i as it burns out
+function maybeSpawnEmber(stars, i) {
+    const embers = particles.embers;
+    if (!settings.embers || !perf.atmosphere || embers.count >= MAX_EMBERS || random() > EMBER_CHANCE) return;
+    const ember = embers.add(
+        stars.x[i],
+        stars.y[i],
+        stars.vx[i] * 0.3,
+        stars.vy[i] * 0.3,
+        `hsl(${15 + random() * 25}, 100%, ${40 + random() * 15}%)`,
+        1 + random(),
+        1 + random(),
+        0.4
+    );
+    embers.z[ember] = stars.z[i];
+    embers.vz[ember] = stars.vz[i] * 0.3;
+}
+
+function updateAtmosphere(dt) {
+    const lightKeep = Math.pow(0.05, dt);
+    particles.smoke = particles.smoke.filter(puff => {
+        puff.life -= dt;
+        puff.vx = environment.wind + (puff.vx - environment.wind) * Math.pow(0.5, dt);
+        puff.x += puff.vx * dt;
+        puff.y += puff.vy * dt;
+        puff.radius += 15 * dt;
+        puff.light *= lightKeep;
+        return puff.life > 0;
+    });
+
+    skyFlash.intensity *= Math.pow(0.01, dt);
+    if (skyFlash.intensity < 0.01) skyFlash.intensity = 0;
+
+    particles.embers.update(dt, 60);
+}
+
+// Per-frame alphas are scaled by frame time so the smoke's steady-state
+// density against the trail fade is the same at any refresh rate
+function frameAlpha(alphaAt60, frameTime) {
+    return 1 - Math.pow(1 - alphaAt60, frameTime * 60);
+}
+
+function drawSkyFlash(frameTime) {
+    if (!skyFlash.intensity) return;
+    const [r, g, b] = skyFlash.rgb.map(c => Math.round(40 + c * 80));
+    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${frameAlpha(skyFlash.intensity * 0.3, frameTime)})`;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+}
+
+function drawSmoke(frameTime) {
+    particles.smoke.forEach(puff => {
+        const fade = Math.min(1, puff.life / puff.maxLife * 2);
+        const light = Math.min(1, puff.light);
+        const [r, g, b] = puff.rgb.map(c => Math.round(90 + c * 165 * light));
+        const alpha = frameAlpha((0.04 + light * 0.08) * fade, frameTime);
+        const gradient = ctx.createRadialGradient(puff.x, puff.y, 0, puff.x, puff.y, puff.radius);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${alpha})`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(puff.x - puff.radius, puff.y - puff.radius, puff.radius * 2, puff.radius * 2);
+    });
+}
+
+// Scenic backdrops drawn beneath the particles. Each scene paints once
+// into an offscreen canvas (rebuilt on resize) and the trail fade in
+// render() fades toward it instead of toward black. Scenes with `water`
+// (top and bottom as fractions of the canvas height) mirror the live
+// particles above the waterline.
+const MAX_REFLECTIONS = 1500;
+
+const scene = {
+    canvas: null,
+    waterTop: 0,
+    waterBottom: 0
+};
+
+function paintNightSky(g, w, h, horizon) {
+    const sky = g.createLinearGradient(0, 0, 0, horizon);
+    sky.addColorStop(0, '#000005');
+    sky.addColorStop(1, '#0b1030');
+    g.fillStyle = sky;
+    g.fillRect(0, 0, w, horizon);
+}
+
+// A ridge line built from a few random sine octaves, filled down to `bottom`
+function paintRidge(g, w, rand, baseY, amplitude, bottom, color) {
+    const waves = [1, 2.3, 5.1].map(f => ({ f, phase: rand() * Math.PI * 2 }));
+    g.fillStyle = color;
+    g.beginPath();
+    g.moveTo(0, bottom);
+    for (let x = 0; x <= w; x += 8) {
+        const t = x / w * Math.PI * 2;
+        const offset = waves.reduce((sum, wave) => sum + Math.sin(t * wave.f + wave.phase) / wave.f, 0);
+        g.lineTo(x, baseY - Math.abs(offset) * amplitude);
+    }
+    g.lineTo(w, bottom);
+    g.closePath();
+    g.fill();
+}
+
+function paintWater(g, w, top, bottom) {
+    const water = g.createLinearGradient(0, top, 0, bottom);
+    water.addColorStop(0, '#0a1028');
+    water.addColorStop(1, '#01020a');
+    g.fillStyle = water;
+    g.fillRect(0, top, w, bottom - top);
+}
+
+const sceneTypes = {
+    none: {
+        label: 'None'
+    },
+    city: {
+        label: 'City Skyline',
+        draw(g, w, h, rand) {
+            paintNightSky(g, w, h, h);
+            for (let x = 0; x < w;) {
+                const width = 30 + rand() * 70;
+                const height = h * (0.08 + rand() * 0.22);
+                g.fillStyle = '#03040a';
+                g.fillRect(x, h - height, width + 1, height);
+                g.fillStyle = 'rgba(255, 210, 120, 0.35)';
+                for (let wy = h - height + 8; wy < h - 10; wy += 12) {
+                    for (let wx = x + 5; wx < x + width - 6; wx += 10) {
+                        if (rand() < 0.15) g.fillRect(wx, wy, 4, 5);
+                    }
+                }
+                x += width + rand() * 6;
+            }
+        }
+    },
+    lake: {
+        label: 'Lake',
+        water: [0.72, 1],
+        draw(g, w, h, rand) {
+            const waterline = h * this.water[0];
+            paintNightSky(g, w, h, waterline);
+            paintRidge(g, w, rand, waterline, h * 0.06, waterline + 1, '#05060f');
+            paintWater(g, w, waterline, h);
+        }
+    },
+    mountains: {
+        label: 'Mountains',
+        draw(g, w, h, rand) {
+            paintNightSky(g, w, h, h);
+            paintRidge(g, w, rand, h * 0.8, h * 0.25, h, '#0a0c1c');
+            paintRidge(g, w, rand, h * 0.95, h * 0.15, h, '#030409');
+        }
+    },
+    beach: {
+        label: 'Beach',
+        water: [0.7, 0.86],
+        draw(g, w, h, rand) {
+            const waterline = h * this.water[0];
+            const shore = h * this.water[1];
+            paintNightSky(g, w, h, waterline);
+            paintWater(g, w, waterline, shore);
+            g.fillStyle = '#16120c';
+            g.beginPath();
+            g.moveTo(0, h);
+            for (let x = 0; x <= w; x += 16) {
+                g.lineTo(x, shore + Math.sin(x / w * Math.PI * 3 + rand() * 0.3) * 6);
+            }
+            g.lineTo(w, h);
+            g.closePath();
+            g.fill();
+        }
+    }
+};
+
+function buildScene() {
+    if (host.worker) return;
+    const type = sceneTypes[settings.scene] || sceneTypes.none;
+    scene.canvas = null;
+    scene.waterTop = scene.waterBottom = 0;
+    if (type.draw) {
+        scene.canvas = createCanvas();
+        scene.canvas.width = canvas.width;
+        scene.canvas.height = canvas.height;
+        type.draw(scene.canvas.getContext('2d'), canvas.width, canvas.height, createRandom(7));
+        if (type.water) {
+            scene.waterTop = canvas.height * type.water[0];
+            scene.waterBottom = canvas.height * type.water[1];
+        }
+        ctx.drawImage(scene.canvas, 0, 0);
+    } else {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+}
+
+// Mirrors particles above the waterline into the water band with a
+// ripple offset, thinning the sources once there are more than the budget
+function drawReflections() {
+    if (!scene.waterBottom || !perf.atmosphere) return;
+    const top = scene.waterTop;
+    const depth = scene.waterBottom - top;
+    const pools = [
+        particles.rocketExplosions,
+        particles.sparklers,
+        particles.bursts,
+        particles.fountains,
+        particles.embers
+    ];
+    const total = pools.reduce((sum, pool) => sum + pool.count, particles.rockets.length + particles.stars.length);
+    const stride = Math.max(1, Math.ceil(total / MAX_REFLECTIONS));
+
+    const reflect = (x, y, size, color, life) => {
+        if (y >= top) return;
+        const reflectedY = 2 * top - y;
+        const fall = (reflectedY - top) / depth;
+        if (fall >= 1) return;
+        const ripple = Math.sin(reflectedY * 0.08 + environment.time * 4) * (2 + fall * 8);
+        ctx.globalAlpha = 0.35 * (1 - fall) * life;
+        ctx.fillStyle = color;
+        ctx.fillRect(x + ripple - size, reflectedY - size * 0.5, size * 2, size);
+    };
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, top, canvas.width, depth);
+    ctx.clip();
+    let index = 0;
+    particles.rockets.forEach(r => {
+        if (index++ % stride) return;
+        reflect(r.x, r.y, 2, Array.isArray(r.color) ? r.color[0] : r.color, 1);
+    });
+    pools.forEach(pool => {
+        for (let i = 0; i < pool.count; i++) {
+            if (index++ % stride || (pool.hidden && pool.hidden[i])) continue;
+            reflect(pool.x[i], pool.y[i], pool.size[i], pool.color[i], pool.life[i] / pool.maxLife[i]);
+        }
+    });
+    particles.stars.forEach(s => {
+        if (index++ % stride) return;
+        reflect(s.x, s.y, s.size, s.color, 0.5 + Math.sin(s.twinkle) * 0.5);
+    });
+    ctx.restore();
+    ctx.globalAlpha = 1;
+}
+
+function launchRocket(x, targetY, shell, color, z) {
+    const rocket = new Rocket(x, targetY, shell, color, z);
+    particles.rockets.push(rocket);
+    playWhistle(rocket.x, (rocket.y - rocket.targetY) / rocket.speed);
+    return rocket;
+}
+
+function updateRockets(dt) {
+    particles.rockets = particles.rockets.filter(r => {
+        const alive = r.update(dt);
+        if (!alive) r.explode();
+        return alive;
+    });
+
+    const stars = particles.rocketExplosions;
+    const emissions = [];
+    for (let i = 0; i < stars.count;) {
+        const children = stars.children[i];
+        stars.life[i] -= dt;
+        if (stars.life[i] <= 0) {
+            if (children) {
+                const parent = stars.snapshot(i);
+                children.forEach(child => { if (!child.every) emissions.push([parent, child]); });
+            } else if (!stars.hidden[i]) {
+                maybeSpawnEmber(stars, i);
+            }
+            stars.remove(i);
+            continue;
+        }
+        let due = null;
+        if (children) {
+            const timers = stars.childTimers[i];
+            children.forEach((child, k) => {
+                if (!child.every) return;
+                timers[k] += dt;
+                for (; timers[k] >= child.every; timers[k] -= child.every) {
+                    (due = due || []).push(child);
+                }
+            });
+        }
+
+        stars.recordTrail(i);
+        // Shaped stars ease toward their target point until released
+        if (stars.targeted[i]) {
+            const ease = 1 - Math.pow(0.002, dt);
+            stars.x[i] += (stars.targetX[i] - stars.x[i]) * ease;
+            stars.y[i] += (stars.targetY[i] - stars.y[i]) * ease;
+            stars.z[i] += (stars.targetZ[i] - stars.z[i]) * ease;
+            stars.hold[i] -= dt;
+            if (stars.hold[i] <= 0) stars.targeted[i] = 0;
+        } else {
+            stars.move(i, dt, stars.gravity[i]);
+        }
+        if (due) {
+            const parent = stars.snapshot(i);
+            due.forEach(child => emissions.push([parent, child]));
+        }
+        i++;
+    }
+    // Spawn children after the loop so it doesn't update the stars they add
+    emissions.forEach(([parent, child]) => spawnChildren(parent, child));
+}
+
+function drawRockets() {
+    particles.rockets.forEach(r => r.draw());
+
+    const stars = particles.rocketExplosions;
+    for (let i = 0; i < stars.count; i++) {
+        if (stars.hidden[i]) continue;
+        const x = stars.x[i];
+        const y = stars.y[i];
+        const size = stars.size[i];
+        const color = stars.color[i];
+        const sparkle = stars.sparkle[i];
+        const alpha = stars.life[i] / stars.maxLife[i];
+        ctx.globalAlpha = alpha;
+
+        const trailCount = stars.trailCount[i];
+        if (trailCount > 1) {
+            const trail = stars.trails[i];
+            ctx.strokeStyle = color;
+            ctx.lineWidth = size * 0.5;
+            ctx.beginPath();
+            ctx.moveTo(trail[0], trail[1]);
+            for (let k = 1; k < trailCount; k++) ctx.lineTo(trail[k * 3], trail[k * 3 + 1]);
+            ctx.lineTo(x, y);
+            ctx.stroke();
+        }
+
+        if (glRenderer.active) {
+            const flicker = sparkle && Math.random() > 0.7 ? 1.5 : 1;
+            queueSprite(x, y, size, color, Math.min(1, alpha * flicker), stars.sprite[i]);
+        } else if (!perf.tint) {
+            ctx.fillStyle = color;
+            ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        } else if (assets.particleSprites.length > 0) {
+            const sprite = assets.particleSprites[stars.sprite[i]];
+            ctx.save();
+            ctx.translate(x, y);
+
+            if (sparkle && Math.random() > 0.7) {
+                ctx.shadowBlur = 15;
+                ctx.shadowColor = color;
+            }
+
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.drawImage(sprite, -size, -size, size * 2, size * 2);
+            ctx.restore();
+        } else {
+            ctx.fillStyle = color;
+            if (sparkle && Math.random() > 0.7) {
+                ctx.shadowBlur = 8;
+                ctx.shadowColor = color;
+            }
+            ctx.beginPath();
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 1;
+    }
+}
+
+function drawRockets3D() {
+    particles.rockets.forEach(r => {
+        const color = Array.isArray(r.color) ? r.color[0] : r.color;
+        r.trail.forEach((t, i) => addPoint3D(t.x, t.y, r.z, 2, color, (i + 1) / r.trail.length * 0.6, 0));
+        addPoint3D(r.x, r.y, r.z, 3, color, 1, 0);
+    });
+
+    const stars = particles.rocketExplosions;
+    for (let i = 0; i < stars.count; i++) {
+        if (stars.hidden[i]) continue;
+        const size = stars.size[i];
+        const color = stars.color[i];
+        const alpha = stars.life[i] / stars.maxLife[i];
+        const trail = stars.trails[i];
+        const trailCount = stars.trailCount[i];
+        for (let k = 0; k < trailCount; k++) {
+            addPoint3D(trail[k * 3], trail[k * 3 + 1], trail[k * 3 + 2], size * 0.5, color, alpha * (k + 1) / (trailCount + 1), 0);
+        }
+        const flicker = stars.sparkle[i] && Math.random() > 0.7 ? 1.5 : 1;
+        addPoint3D(stars.x[i], stars.y[i], stars.z[i], size, color, Math.min(1, alpha * flicker), stars.sprite[i]);
+    }
+}
+
+function spawnSparklers(count) {
+    for (let i = 0; i < count; i++) {
+        particles.sparklers.add(
+            random() * canvas.width,
+            -10,
+            (random() - 0.5) * 120,
+            60 + random() * 120,
+            randomColor(),
+            1.67 + random() * 0.83,
+            2 + random() * 2,
+            0.6
+        );
+    }
+}
+
+function updateSparklers(dt) {
+    particles.sparklers.update(dt, 180, canvas.height);
+}
+
+function spawnBurst(x, y, color) {
+    for (let i = Math.round(settings.burstParticles * perf.spawnScale); i > 0; i--) {
+        const angle = random() * Math.PI * 2;
+        particles.bursts.add(
+            x, y,
+            Math.cos(angle) * (120 + random() * 240),
+            Math.sin(angle) * (120 + random() * 240),
+            color,
+            0.67 + random() * 0.67,
+            2 + random() * 3,
+            0.7
+        );
+    }
+}
+
+function spawnRandomBursts(dt) {
+    for (let n = spawnsDue('bursts', settings.burstSpawn, dt); n > 0; n--) {
+        const x = random() * canvas.width;
+        const y = random() * canvas.height * 0.7;
+        const color = randomColor();
+        playBoom(x, y, 0.3);
+        spawnBurst(x, y, color);
+        addExplosionAtmosphere(x, y, color, 0.3);
+    }
+}
+
+function updateBursts(dt) {
+    particles.bursts.update(dt, 540);
+}
+
+function spawnFountain(dt) {
+    for (let n = spawnCount('fountains', settings.fountainRate, dt); n > 0; n--) {
+        particles.fountains.add(
+            canvas.width * settings.fountainX / 100 + (random() - 0.5) * 150,
+            canvas.height,
+            (random() - 0.5) * 360,
+            -(720 + random() * 540) * settings.fountainVel,
+            randomColor(),
+            1.33 + random() * 0.67,
+            2 + random() * 2,
+            0.85
+        );
+    }
+}
+
+function updateFountains(dt) {
+    updateAimedFountain(dt);
+    particles.fountains.update(dt, 720, canvas.height, settings.groundBounce);
+}
+
+function drawParticles(list) {
+    if (list instanceof ParticlePool) {
+        list.draw();
+        return;
+    }
+    list.forEach(p => {
+        const alpha = p.maxLife ? p.life / p.maxLife : 1;
+        drawSpark(p.x, p.y, p.size, p.color, alpha, p.sprite || 0);
+    });
+    ctx.globalAlpha = 1;
+}
+
+// Pointer interaction: tap/click launches a rocket at the pointer,
+// press and drag aims a fountain from the press point, or in the 3D view
+// orbits the camera. The pointer is UI state; the fountain reads `aim` and
+// the 3D view `camera3D`, which only change through input() so that drags
+// are part of the replay log.
+const pointer = {
+    down: false,
+    dragging: false,
+    startX: 0,
+    startY: 0,
+    x: 0,
+    y: 0,
+    yaw: 0,
+    pitch: 0
+};
+
+const aim = {
+    active: false,
+    startX: 0,
+    startY: 0,
+    x: 0,
+    y: 0
+};
+
+const DRAG_THRESHOLD = 10;
+// Camera turn per pixel dragged in the 3D view, in radians
+const ORBIT_DRAG_SPEED = 0.005;
+
+function canvasPoint(e) {
+    const rect = host.element.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * (canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+}
+
+function updateAimedFountain(dt) {
+    if (!aim.active) return;
+    const dx = aim.x - aim.startX;
+    const dy = aim.y - aim.startY;
+    const direction = Math.atan2(dy, dx);
+    const power = Math.min(Math.hypot(dx, dy) * 4, 1200) * settings.fountainVel;
+
+    for (let n = spawnCount('aimedFountain', settings.fountainRate, dt); n > 0; n--) {
+        const angle = direction + (random() - 0.5) * 0.3;
+        const speed = power * (0.8 + random() * 0.4);
+        particles.fountains.add(
+            aim.startX,
+            aim.startY,
+            Math.cos(angle) * speed,
+            Math.sin(angle) * speed,
+            randomColor(),
+            1.33 + random() * 0.67,
+            2 + random() * 2,
+            0.85
+        );
+    }
+}
+
+function drawAimGuide() {
+    if (!aim.active) return;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(aim.startX, aim.startY);
+    ctx.lineTo(aim.x, aim.y);
+    ctx.stroke();
+}
+
+function onPointerDown(e) {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    const p = canvasPoint(e);
+    pointer.down = true;
+    pointer.dragging = false;
+    pointer.startX = pointer.x = p.x;
+    pointer.startY = pointer.y = p.y;
+    pointer.yaw = camera3D.yaw;
+    pointer.pitch = camera3D.pitch;
+    host.element.setPointerCapture(e.pointerId);
+}
+
+function onPointerMove(e) {
+    if (!pointer.down) return;
+    const p = canvasPoint(e);
+    pointer.x = p.x;
+    pointer.y = p.y;
+    if (Math.hypot(p.x - pointer.startX, p.y - pointer.startY) > DRAG_THRESHOLD) {
+        pointer.dragging = true;
+    }
+    if (!pointer.dragging) return;
+    if (view3D.active) {
+        const pitch = pointer.pitch + (p.y - pointer.startY) * ORBIT_DRAG_SPEED;
+        input('camera', {
+            yaw: pointer.yaw - (p.x - pointer.startX) * ORBIT_DRAG_SPEED,
+            pitch: Math.max(-MAX_CAMERA_PITCH, Math.min(MAX_CAMERA_PITCH, pitch)),
+            orbiting: false
+        });
+    } else {
+        input('aim', { active: true, startX: pointer.startX, startY: pointer.startY, x: p.x, y: p.y });
+    }
+}
+
+function endDrag() {
+    if (view3D.active) input('camera', { orbiting: true });
+    else input('aim', { active: false });
+}
+
+function onPointerUp() {
+    if (!pointer.down) return;
+    if (pointer.dragging) {
+        endDrag();
+    } else if (view3D.active) {
+        const p = pickPoint3D(pointer.startX, pointer.startY);
+        launchShared(p.x, p.y, p.z);
+    } else {
+        launchShared(pointer.startX, pointer.startY);
+    }
+    pointer.down = pointer.dragging = false;
+}
+
+function onPointerCancel() {
+    if (pointer.dragging) endDrag();
+    pointer.down = pointer.dragging = false;
+}
+
+// Stars fade in at this many per second until starCount is reached
+const STAR_SPAWN_RATE = 60;
+
+function spawnStars(dt) {
+    for (let n = spawnCount('stars', STAR_SPAWN_RATE, dt); n > 0 && particles.stars.length < settings.starCount; n--) {
+        particles.stars.push({
+            x: random() * canvas.width,
+            y: random() * canvas.height * 0.8,
+            size: (2 + random() * 3) * settings.particleSize,
+            color: randomColor(),
+            twinkle: random() * Math.PI * 2,
+            speed: 1.2 + random() * 1.8
+        });
+    }
+}
+
+function updateStars(dt) {
+    particles.stars.forEach(s => {
+        s.twinkle += s.speed * dt;
+        s.y += Math.sin(s.twinkle) * 30 * dt;
+    });
+}
+
+function drawStars3D() {
+    particles.stars.forEach(s => {
+        addPoint3D(s.x, s.y, 0, s.size, s.color, 0.5 + Math.sin(s.twinkle) * 0.5, 0);
+    });
+}
+
+function drawStars() {
+    particles.stars.forEach(s => {
+        ctx.globalAlpha = 0.5 + Math.sin(s.twinkle) * 0.5;
         ctx.fillStyle = s.color;
         ctx.shadowBlur = 5;
         ctx.shadowColor = s.color;
@@ -434,77 +2962,1873 @@ function updateStars() {
         ctx.arc(s.x, s.y, s.size, 0, Math.PI * 2);
         ctx.fill();
     });
-    ctx.shadowBlur = 0;
-    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+    ctx.globalAlpha = 1;
+}
+
+// Show sequencer: plays a scripted timeline of launches against the
+// animation loop. Timeline format (JSON):
+//
+//   {
+//     "name": "My Show",
+//     "duration": 20,
+//     "events": [
+//       { "time": 0.5, "shell": "peony", "x": 0.5, "height": 0.7,
+//         "palette": ["#ff4444", "#ffffff"] }
+//     ]
+//   }
+//
+// `time` is the launch offset in seconds, `x` the launch position as a
+// fraction of the canvas width and `height` the burst height as a fraction
+// of the canvas height above the ground. `shell`, `x`, `height`, `palette`
+// and the show `duration` are optional and fall back to random/derived values.
+const show = {
+    timeline: null,
+    playing: false,
+    scrubbing: false,
+    time: 0,
+    cursor: 0
+};
+
+const builtInShows = [
+    {
+        name: 'Opening Salute',
+        events: [
+            { time: 0.0, shell: 'peony', x: 0.1, height: 0.6, palette: ['#ff3333'] },
+            { time: 0.4, shell: 'peony', x: 0.3, height: 0.65, palette: ['#ffffff'] },
+            { time: 0.8, shell: 'peony', x: 0.5, height: 0.7, palette: ['#3366ff'] },
+            { time: 1.2, shell: 'peony', x: 0.7, height: 0.65, palette: ['#ffffff'] },
+            { time: 1.6, shell: 'peony', x: 0.9, height: 0.6, palette: ['#ff3333'] },
+            { time: 3.0, shell: 'crossette', x: 0.3, height: 0.7 },
+            { time: 3.0, shell: 'crossette', x: 0.7, height: 0.7 },
+            { time: 4.5, shell: 'ring', x: 0.5, height: 0.75, palette: ['#ffd700'] },
+            { time: 5.5, shell: 'chrysanthemum', x: 0.2, height: 0.55, palette: ['#ff3333', '#ffffff'] },
+            { time: 5.5, shell: 'chrysanthemum', x: 0.8, height: 0.55, palette: ['#3366ff', '#ffffff'] },
+            { time: 7.0, shell: 'star', x: 0.5, height: 0.7, palette: ['#ffd700'] },
+            { time: 8.5, shell: 'multiBreak', x: 0.5, height: 0.75 }
+        ]
+    },
+    {
+        name: 'Willow Garden',
+        events: [
+            { time: 0.0, shell: 'willow', x: 0.5, height: 0.8 },
+            { time: 2.0, shell: 'palm', x: 0.25, height: 0.65, palette: ['#ffaa33'] },
+            { time: 2.0, shell: 'palm', x: 0.75, height: 0.65, palette: ['#ffaa33'] },
+            { time: 4.0, shell: 'willow', x: 0.3, height: 0.75 },
+            { time: 4.6, shell: 'willow', x: 0.7, height: 0.75 },
+            { time: 6.5, shell: 'heart', x: 0.5, height: 0.6, palette: ['#ff66aa', '#ff99cc'] },
+            { time: 8.5, shell: 'palm', x: 0.5, height: 0.8, palette: ['#66ff99', '#ffffff'] },
+            { time: 9.0, shell: 'willow', x: 0.15, height: 0.7 },
+            { time: 9.0, shell: 'willow', x: 0.85, height: 0.7 }
+        ]
+    },
+    buildFinaleShow()
+];
+
+// The finale is generated rather than written out: a barrage that speeds up
+// before closing with a row of multi-break shells
+function buildFinaleShow() {
+    const events = [];
+    let time = 0;
+    for (let i = 0; i < 40; i++) {
+        events.push({
+            time: Math.round(time * 100) / 100,
+            shell: ['peony', 'chrysanthemum', 'ring', 'crossette'][i % 4],
+            x: 0.1 + ((i * 0.37) % 0.8),
+            height: 0.55 + (i % 3) * 0.1
+        });
+        time += Math.max(0.1, 0.6 - i * 0.015);
+    }
+    [0.2, 0.4, 0.6, 0.8].forEach(x => {
+        events.push({ time: Math.round((time + 0.5) * 100) / 100, shell: 'multiBreak', x, height: 0.75 });
+    });
+    return { name: 'Grand Finale', events };
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+// Validates a timeline object and returns a normalized copy with events
+// sorted by time. Throws an Error describing the first problem found.
+function parseShow(data) {
+    if (!data || !Array.isArray(data.events)) {
+        throw new Error('show must have an "events" array');
+    }
+    const events = data.events.map((ev, i) => {
+        const time = Number(ev.time);
+        if (!Number.isFinite(time) || time < 0) {
+            throw new Error(`event ${i} has an invalid time`);
+        }
+        if (ev.shell !== undefined && !shellTypes[ev.shell]) {
+            throw new Error(`event ${i} has unknown shell "${ev.shell}"`);
+        }
+        if (ev.palette !== undefined && (!Array.isArray(ev.palette) || ev.palette.length === 0)) {
+            throw new Error(`event ${i} palette must be a non-empty array of colors`);
+        }
+        ['x', 'height'].forEach(key => {
+            if (ev[key] !== undefined && !Number.isFinite(Number(ev[key]))) {
+                throw new Error(`event ${i} has an invalid ${key}`);
+            }
+        });
+        return {
+            time,
+            shell: ev.shell,
+            x: ev.x !== undefined ? clamp01(Number(ev.x)) : undefined,
+            height: ev.height !== undefined ? clamp01(Number(ev.height)) : undefined,
+            palette: ev.palette ? ev.palette.map(String) : undefined
+        };
+    }).sort((a, b) => a.time - b.time);
+
+    const lastTime = events.length ? events[events.length - 1].time : 0;
+    const duration = Number(data.duration) > 0 ? Number(data.duration) : lastTime + 3;
+    return { name: String(data.name || 'Untitled Show'), duration, events };
+}
+
+function fireShowEvent(ev) {
+    const x = (ev.x !== undefined ? ev.x : random()) * canvas.width;
+    const targetY = ev.height !== undefined
+        ? canvas.height * (1 - ev.height)
+        : undefined;
+    launchRocket(x, targetY, ev.shell, ev.palette);
+}
+
+function loadShow(timeline) {
+    show.timeline = timeline;
+    pauseShow();
+    seekShow(0);
+}
+
+function playShow() {
+    if (!show.timeline) return;
+    if (show.time >= show.timeline.duration) seekShow(0);
+    show.playing = true;
+    if (!controlsReady) return;
+    document.getElementById('showPlay').classList.add('active');
+    document.getElementById('showPlay').textContent = '⏸ PAUSE';
+}
+
+function pauseShow() {
+    show.playing = false;
+    if (!controlsReady) return;
+    document.getElementById('showPlay').classList.remove('active');
+    document.getElementById('showPlay').textContent = '▶ SHOW';
+}
+
+function seekShow(time) {
+    if (!show.timeline) return;
+    show.time = Math.min(Math.max(time, 0), show.timeline.duration);
+    show.cursor = show.timeline.events.findIndex(ev => ev.time >= show.time);
+    if (show.cursor === -1) show.cursor = show.timeline.events.length;
+    updateShowDisplay();
+}
+
+function formatShowTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function updateShowDisplay() {
+    if (IN_WORKER) {
+        postToPage('show', { time: show.time, playing: show.playing });
+        return;
+    }
+    if (!controlsReady) return;
+    const duration = show.timeline ? show.timeline.duration : 0;
+    if (!show.scrubbing) {
+        document.getElementById('showSeek').value = duration ? (show.time / duration) * 1000 : 0;
+    }
+    document.getElementById('showTime').textContent =
+        `${formatShowTime(show.time)} / ${formatShowTime(duration)}`;
+}
+
+function updateShow(dt) {
+    if (!show.playing) return;
+    show.time += dt;
+
+    const events = show.timeline.events;
+    while (show.cursor < events.length && events[show.cursor].time <= show.time) {
+        fireShowEvent(events[show.cursor++]);
+    }
+    if (show.time >= show.timeline.duration) {
+        show.time = show.timeline.duration;
+        pauseShow();
+    }
+    updateShowDisplay();
+}
+
+function addShowOption(timeline) {
+    const select = document.getElementById('showSelect');
+    const option = new Option(timeline.name, select.options.length);
+    option.timeline = timeline;
+    select.add(option);
+    return option;
+}
+
+function initShowControls() {
+    const select = document.getElementById('showSelect');
+    builtInShows.forEach(data => addShowOption(parseShow(data)));
+    select.addEventListener('change', () => {
+        input('show', { timeline: select.options[select.selectedIndex].timeline });
+    });
+    callEngine('loadShow', select.options[0].timeline);
+
+    document.getElementById('showPlay').addEventListener('click', () => {
+        if (show.playing) input('show', { playing: false });
+        else input('show', { timeline: show.timeline, time: show.time, playing: true });
+    });
+
+    const seek = document.getElementById('showSeek');
+    seek.addEventListener('pointerdown', () => { show.scrubbing = true; });
+    seek.addEventListener('change', () => { show.scrubbing = false; });
+    seek.addEventListener('input', (e) => {
+        if (!show.timeline) return;
+        input('show', { time: (parseFloat(e.target.value) / 1000) * show.timeline.duration });
+    });
+
+    const fileInput = document.getElementById('showFile');
+    document.getElementById('showLoad').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            const timeline = parseShow(JSON.parse(text));
+            if (timeline.name === 'Untitled Show') timeline.name = file.name.replace(/\.json$/i, '');
+            const option = addShowOption(timeline);
+            select.value = option.value;
+            input('show', { timeline });
+        }).catch(e => {
+            console.warn('Failed to load show:', e);
+            showStatus(`Could not load show: ${e.message}`);
+        });
+        fileInput.value = '';
+    });
+}
+
+// Music visualizer: a dropped MP3/OGG plays through an AnalyserNode on the
+// shared audioCtx. Onsets in the bass band burst big shells, mids fire
+// bursts and highs shower sparklers. Shells burst in place rather than
+// launching so the flash lands on the beat.
+const music = {
+    source: null,
+    analyser: null,
+    gain: null,
+    bins: null,
+    bands: {
+        bass: { from: 20, to: 150, threshold: 1.3, cooldown: 250 },
+        mid: { from: 400, to: 2000, threshold: 1.4, cooldown: 180 },
+        high: { from: 4000, to: 12000, threshold: 1.5, cooldown: 100 }
+    }
+};
+
+// Roughly one second of history at 60fps for the rolling energy average
+const ONSET_HISTORY = 43;
+
+Object.values(music.bands).forEach(band => {
+    band.history = [];
+    band.nextAllowed = 0;
+});
+
+function isAudioFile(file) {
+    return file.type.startsWith('audio/') || /\.(mp3|ogg|oga)$/i.test(file.name);
+}
+
+function stopMusic() {
+    if (!music.source) return;
+    music.source.onended = null;
+    music.source.stop();
+    music.source.disconnect();
+    music.source = null;
+    document.getElementById('music').classList.remove('active');
+    document.getElementById('music').textContent = '🎵 MUSIC';
+}
+
+function playMusicFile(file) {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    file.arrayBuffer()
+        .then(data => audioCtx.decodeAudioData(data))
+        .then(buffer => {
+            stopMusic();
+            if (!music.analyser) {
+                music.analyser = audioCtx.createAnalyser();
+                music.analyser.fftSize = 1024;
+                music.analyser.smoothingTimeConstant = 0.5;
+                music.gain = audioCtx.createGain();
+                music.analyser.connect(music.gain);
+                music.gain.connect(audioCtx.destination);
+                music.bins = new Uint8Array(music.analyser.frequencyBinCount);
+            }
+            Object.values(music.bands).forEach(band => { band.history = []; });
+
+            music.source = audioCtx.createBufferSource();
+            music.source.buffer = buffer;
+            music.source.connect(music.analyser);
+            music.source.onended = stopMusic;
+            music.source.start();
+
+            const btn = document.getElementById('music');
+            btn.classList.add('active');
+            btn.textContent = '⏹ ' + file.name.replace(/\.[^.]+$/, '').slice(0, 16);
+        })
+        .catch(e => {
+            console.warn('Failed to play audio file:', e);
+            showStatus(`Could not play ${file.name}: ${e.message || 'unsupported audio format'}`);
+        });
+}
+
+function bandEnergy(band) {
+    const hzPerBin = audioCtx.sampleRate / music.analyser.fftSize;
+    const lo = Math.max(1, Math.floor(band.from / hzPerBin));
+    const hi = Math.min(music.bins.length - 1, Math.ceil(band.to / hzPerBin));
+    let sum = 0;
+    for (let i = lo; i <= hi; i++) sum += music.bins[i];
+    return sum / (hi - lo + 1);
+}
+
+// Returns the onset strength (0-1) when the band's energy jumps above its
+// rolling average, or 0 when there is no onset this frame
+function detectOnset(band, now) {
+    const energy = bandEnergy(band);
+    const history = band.history;
+    const average = history.length
+        ? history.reduce((sum, e) => sum + e, 0) / history.length
+        : energy;
+    history.push(energy);
+    if (history.length > ONSET_HISTORY) history.shift();
+
+    if (history.length < ONSET_HISTORY / 2 || now < band.nextAllowed) return 0;
+    if (energy < 40 || energy < average * band.threshold) return 0;
+    band.nextAllowed = now + band.cooldown;
+    return energy / 255;
+}
+
+function updateMusic() {
+    if (!music.source) return;
+    music.gain.gain.value = state.muted ? 0 : 1;
+    music.analyser.getByteFrequencyData(music.bins);
+    const now = performance.now();
+
+    const bass = detectOnset(music.bands.bass, now);
+    const mid = detectOnset(music.bands.mid, now);
+    const high = detectOnset(music.bands.high, now);
+    if (bass || mid || high) input('music', { bass, mid, high });
+}
+
+// Fires the reactions to this frame's onsets, run wherever the engine is
+function fireMusicOnsets(bass, mid, high) {
+    if (bass) {
+        const shell = bass > 0.8
+            ? ['chrysanthemum', 'willow', 'multiBreak'][Math.floor(random() * 3)]
+            : 'peony';
+        const x = canvas.width * (0.15 + random() * 0.7);
+        const y = canvas.height * (0.2 + random() * 0.25);
+        const color = shellColor();
+        burstShell(shell, x, y, launchDepth(), color, Math.max(0.5, bass));
+        addExplosionAtmosphere(x, y, color, bass);
+    }
+
+    if (mid) {
+        spawnBurst(
+            random() * canvas.width,
+            canvas.height * (0.3 + random() * 0.4),
+            randomColor()
+        );
+    }
+
+    if (high) {
+        // A shower worth up to a fifteenth of a second of sparkler mode
+        spawnSparklers(Math.ceil(high * settings.sparklerRate * perf.spawnScale / 15));
+    }
+}
+
+function initMusicControls() {
+    const fileInput = document.getElementById('musicFile');
+    document.getElementById('music').addEventListener('click', () => {
+        if (music.source) stopMusic();
+        else fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) playMusicFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    const overlay = document.getElementById('dropOverlay');
+    listen(window, 'dragover', (e) => {
+        e.preventDefault();
+        overlay.classList.add('visible');
+    });
+    listen(window, 'dragleave', (e) => {
+        if (!e.relatedTarget) overlay.classList.remove('visible');
+    });
+    listen(window, 'drop', (e) => {
+        e.preventDefault();
+        overlay.classList.remove('visible');
+        const file = Array.from(e.dataTransfer.files).find(isAudioFile);
+        if (file) playMusicFile(file);
+    });
+}
+
+// Recording: each frame is copied into a scaled canvas that is either
+// streamed into a MediaRecorder (WebM) or sampled into GIF frames
+const recording = {
+    active: false,
+    format: 'webm',
+    canvas: null,
+    ctx: null,
+    startTime: 0,
+    duration: 0,
+    recorder: null,
+    chunks: [],
+    gifFrames: [],
+    lastGifFrame: 0
+};
+
+const GIF_FPS = 15;
+// GIF frames are kept in memory until the end, so cap their size
+const GIF_MAX_WIDTH = 640;
+
+function downloadBlob(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `fireworks-${Date.now()}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function setRecordButton(text, active) {
+    const btn = document.getElementById('record');
+    btn.textContent = text;
+    btn.classList.toggle('active', active);
+}
+
+function startRecording() {
+    const format = document.getElementById('recordFormat').value;
+    const size = document.getElementById('recordSize').value;
+    if (format === 'webm' && typeof MediaRecorder === 'undefined') {
+        showStatus('Video recording is not supported in this browser, try GIF instead.');
+        return;
+    }
+
+    let width = size === 'full' ? canvas.width : Math.min(canvas.width, parseInt(size, 10));
+    if (format === 'gif') width = Math.min(width, GIF_MAX_WIDTH);
+    // Video encoders want even dimensions
+    width -= width % 2;
+    const height = Math.round((width * canvas.height) / canvas.width / 2) * 2;
+
+    recording.canvas = document.createElement('canvas');
+    recording.canvas.width = width;
+    recording.canvas.height = height;
+    recording.ctx = recording.canvas.getContext('2d');
+    recording.format = format;
+    recording.duration = parseFloat(document.getElementById('recordDuration').value) * 1000;
+    recording.startTime = performance.now();
+    recording.chunks = [];
+    recording.gifFrames = [];
+    recording.lastGifFrame = 0;
+
+    if (format === 'webm') {
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        recording.recorder = new MediaRecorder(recording.canvas.captureStream(30), { mimeType });
+        recording.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) recording.chunks.push(e.data);
+        };
+        recording.recorder.onstop = () => {
+            downloadBlob(new Blob(recording.chunks, { type: 'video/webm' }), 'webm');
+            recording.chunks = [];
+            setRecordButton('⏺ REC', false);
+        };
+        recording.recorder.start();
+    }
+    recording.active = true;
+    callWorker('captureFrames', true);
+}
+
+function stopRecording() {
+    if (!recording.active) return;
+    recording.active = false;
+    callWorker('captureFrames', false);
+    if (recording.format === 'webm') {
+        recording.recorder.stop();
+        return;
+    }
+    setRecordButton('⏳ ENCODING', true);
+    const { width, height } = recording.canvas;
+    encodeGif(recording.gifFrames, width, height).then(blob => {
+        recording.gifFrames = [];
+        downloadBlob(blob, 'gif');
+        setRecordButton('⏺ REC', false);
+    }).catch(e => {
+        console.warn('Failed to encode GIF:', e);
+        recording.gifFrames = [];
+        showStatus(`Could not save the GIF: ${e.message}`);
+        setRecordButton('⏺ REC', false);
+    });
+}
+
+// `source` is the canvas, or in worker mode a frame the worker sent over
+function updateRecording(source = canvas) {
+    if (!recording.active) return;
+    const { canvas: target, ctx: targetCtx } = recording;
+    targetCtx.drawImage(source, 0, 0, target.width, target.height);
+
+    const now = performance.now();
+    const elapsed = now - recording.startTime;
+    if (recording.format === 'gif' && now - recording.lastGifFrame >= 1000 / GIF_FPS) {
+        const image = targetCtx.getImageData(0, 0, target.width, target.height);
+        const delay = recording.lastGifFrame ? now - recording.lastGifFrame : 1000 / GIF_FPS;
+        recording.gifFrames.push({ pixels: quantizeFrame(image.data), delay });
+        recording.lastGifFrame = now;
+    }
+
+    setRecordButton(`⏹ ${Math.ceil((recording.duration - elapsed) / 1000)}s`, true);
+    if (elapsed >= recording.duration) stopRecording();
+}
+
+// GIF encoding. Frames are quantized to a fixed 3-3-2 RGB palette, which
+// suits bright particles on black and avoids per-frame palette work.
+function quantizeFrame(data) {
+    const pixels = new Uint8Array(data.length / 4);
+    for (let i = 0, j = 0; j < pixels.length; i += 4, j++) {
+        pixels[j] = (data[i] & 0xe0) | ((data[i + 1] & 0xe0) >> 3) | (data[i + 2] >> 6);
+    }
+    return pixels;
+}
+
+function gifPalette() {
+    const palette = new Uint8Array(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        palette[i * 3] = Math.round((((i >> 5) & 7) * 255) / 7);
+        palette[i * 3 + 1] = Math.round((((i >> 2) & 7) * 255) / 7);
+        palette[i * 3 + 2] = Math.round(((i & 3) * 255) / 3);
+    }
+    return palette;
+}
+
+// Variable-width LZW as used by GIF, returning the raw code stream bytes
+function lzwEncode(pixels, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+    let cur = 0;
+    let curBits = 0;
+
+    function emit(code) {
+        cur |= code << curBits;
+        curBits += codeSize;
+        while (curBits >= 8) {
+            bytes.push(cur & 0xff);
+            cur >>= 8;
+            curBits -= 8;
+        }
+    }
+
+    emit(clearCode);
+    let prefix = pixels[0];
+    for (let i = 1; i < pixels.length; i++) {
+        const k = pixels[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            nextCode = eoiCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (curBits > 0) bytes.push(cur & 0xff);
+    return bytes;
+}
+
+async function encodeGif(frames, width, height) {
+    const parts = [];
+    const word = (n) => [n & 0xff, (n >> 8) & 0xff];
+
+    parts.push(new Uint8Array([
+        ...Array.from('GIF89a', c => c.charCodeAt(0)),
+        ...word(width), ...word(height),
+        0xf7, 0, 0 // global 256-color table, background 0, square pixels
+    ]));
+    parts.push(gifPalette());
+    // Loop forever
+    parts.push(new Uint8Array([
+        0x21, 0xff, 0x0b, ...Array.from('NETSCAPE2.0', c => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0
+    ]));
+
+    for (const frame of frames) {
+        const delay = Math.max(2, Math.round(frame.delay / 10));
+        parts.push(new Uint8Array([
+            0x21, 0xf9, 0x04, 0, ...word(delay), 0, 0,
+            0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0,
+            8
+        ]));
+        const data = lzwEncode(frame.pixels, 8);
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+        let p = 0;
+        for (let i = 0; i < data.length; i += 255) {
+            const size = Math.min(255, data.length - i);
+            blocks[p++] = size;
+            for (let j = 0; j < size; j++) blocks[p++] = data[i + j];
+        }
+        blocks[p] = 0;
+        parts.push(blocks);
+        // Yield between frames so the page keeps animating while encoding
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    parts.push(new Uint8Array([0x3b]));
+    return new Blob(parts, { type: 'image/gif' });
+}
+
+function initRecordControls() {
+    document.getElementById('record').addEventListener('click', () => {
+        if (recording.active) stopRecording();
+        else if (!recording.gifFrames.length) startRecording();
+    });
+}
+
+// Keyboard and gamepad control. The help overlay is built from the same
+// binding tables, so adding a binding here also documents it.
+const SHELL_KEYS = 'qwertyuiopasdfgjkl';
+
+const gamepadBindings = [
+    { button: 7, name: 'Right trigger', label: 'Launch a rocket at the left stick', action: pad => input('launch', { x: padX(pad), y: padY(pad) }) },
+    { button: 6, name: 'Left trigger', label: 'Burst at the left stick', action: pad => input('burst', { x: padX(pad), y: padY(pad) }) },
+    { button: 0, name: 'A', label: 'Toggle rockets', action: () => toggleMode('rockets') },
+    { button: 1, name: 'B', label: 'Toggle sparklers', action: () => toggleMode('sparklers') },
+    { button: 2, name: 'X', label: 'Toggle bursts', action: () => toggleMode('bursts') },
+    { button: 3, name: 'Y', label: 'Toggle fountains', action: () => toggleMode('fountains') },
+    { button: 8, name: 'Back', label: 'Clear all', action: () => input('clear') },
+    { button: 9, name: 'Start', label: 'Show / hide help', action: () => toggleHelp() }
+];
+
+let keyBindings = [];
+// Buttons held on the previous poll, per gamepad index
+const gamepadHeld = {};
+
+function buildKeyBindings() {
+    keyBindings = [
+        ...MODES.map((mode, i) => ({
+            keys: [String(i + 1)],
+            label: `Toggle ${mode}`,
+            action: () => toggleMode(mode)
+        })),
+        { keys: [' '], name: 'Space', label: 'Launch a rocket', action: () => input('fire', {}) },
+        { keys: ['c'], label: 'Clear all', action: () => input('clear') },
+        { keys: ['m'], label: 'Mute / unmute', action: () => document.getElementById('mute').click() },
+        { keys: ['?', 'h'], label: 'Show / hide this help', action: () => toggleHelp() }
+    ];
+    Object.entries(shellTypes).slice(0, SHELL_KEYS.length).forEach(([key, type], i) => {
+        keyBindings.push({ keys: [SHELL_KEYS[i]], label: `Fire ${type.label}`, action: () => input('fire', { shell: key }) });
+    });
 }
 
-function animate() {
-    // Clear with slight trail effect
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+function toggleMode(mode) {
+    input('mode', { name: mode, on: !state[mode] });
+}
+
+function fireShell(shell) {
+    launchRocket(canvas.width * (0.15 + random() * 0.7), undefined, shell);
+}
+
+function padX(pad) {
+    return canvas.width * (0.5 + (pad.axes[0] || 0) * 0.45);
+}
+
+function padY(pad) {
+    return canvas.height * (0.35 + (pad.axes[1] || 0) * 0.2);
+}
+
+function toggleHelp(show) {
+    const overlay = document.getElementById('helpOverlay');
+    overlay.classList.toggle('visible', show !== undefined ? show : !overlay.classList.contains('visible'));
+}
+
+function renderHelp() {
+    const table = document.getElementById('helpBindings');
+    table.innerHTML = '';
+    const addRows = (title, list) => {
+        const heading = document.createElement('th');
+        heading.colSpan = 2;
+        heading.textContent = title;
+        table.appendChild(document.createElement('tr')).appendChild(heading);
+        list.forEach(b => {
+            const row = document.createElement('tr');
+            const keys = row.appendChild(document.createElement('td'));
+            (b.name ? [b.name] : b.keys.map(k => k.toUpperCase())).forEach((key, i) => {
+                if (i > 0) keys.append(' / ');
+                keys.appendChild(document.createElement('kbd')).textContent = key;
+            });
+            row.appendChild(document.createElement('td')).textContent = b.label;
+            table.appendChild(row);
+        });
+    };
+    addRows('Keyboard', keyBindings);
+    addRows('Gamepad', gamepadBindings);
+}
+
+function pollGamepads() {
+    if (!navigator.getGamepads) return;
+    for (const pad of navigator.getGamepads()) {
+        if (!pad) continue;
+        const held = gamepadHeld[pad.index] || [];
+        const now = pad.buttons.map(b => b.pressed || b.value > 0.5);
+        gamepadBindings.forEach(binding => {
+            if (now[binding.button] && !held[binding.button]) binding.action(pad);
+        });
+        gamepadHeld[pad.index] = now;
+    }
+}
+
+function initInputControls() {
+    buildKeyBindings();
+    renderHelp();
+
+    document.getElementById('help').addEventListener('click', () => toggleHelp());
+    document.getElementById('helpOverlay').addEventListener('click', () => toggleHelp(false));
+
+    listen(window, 'keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+        if (e.key === 'Escape') {
+            toggleHelp(false);
+            return;
+        }
+        const key = e.key.toLowerCase();
+        const binding = keyBindings.find(b => b.keys.includes(key));
+        if (!binding) return;
+        e.preventDefault();
+        // Keep Space/Enter from also clicking whichever button has focus
+        if (document.activeElement && document.activeElement.tagName === 'BUTTON') document.activeElement.blur();
+        binding.action();
+    });
+}
+
+// The simulation advances in fixed steps of STEP seconds while rendering
+// runs at the display's refresh rate, so motion, spawn rates and lifetimes
+// are identical on 60Hz and 120Hz screens. Long stalls (a backgrounded tab)
+// are capped rather than replayed.
+const STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25;
+
+let lastFrameTime = 0;
+let stepAccumulator = 0;
+
+function simulate(dt) {
+    applyReplayInputs();
+    updateSpawnScale();
+    updateEnvironment(dt);
+    updateCamera3D(dt);
+    updateShow(dt);
+    updateMusic();
+    // Emitters keep updating while switched off so that pointer-, show-
+    // and music-triggered particles still play out
+    MODES.forEach(name => {
+        const emitter = emitters[name];
+        if (state[name] && emitter.spawn) emitter.spawn(dt);
+        if (emitter.update) emitter.update(dt);
+    });
+    updateAtmosphere(dt);
+    simStep++;
+}
+
+function render(frameTime) {
+    // Clear with slight trail effect, fading toward the scene backdrop
+    const fade = frameAlpha(settings.trailFade, frameTime);
+    if (scene.canvas) {
+        ctx.globalAlpha = fade;
+        ctx.drawImage(scene.canvas, 0, 0);
+        ctx.globalAlpha = 1;
+    } else if (host.transparent) {
+        // Fade toward transparent so the page shows through
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fillStyle = `rgba(0, 0, 0, ${fade})`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+    } else {
+        ctx.fillStyle = `rgba(0, 0, 0, ${fade})`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    if (view3D.active) {
+        ctx.globalCompositeOperation = 'lighter';
+        drawSkyFlash(frameTime);
+        ctx.globalCompositeOperation = 'source-over';
+        renderView3D();
+        return;
+    }
+
+    drawSmoke(frameTime);
 
     // Use lighter blending for particles
     ctx.globalCompositeOperation = 'lighter';
 
-    updateRockets();
-    updateSparklers();
-    updateBursts();
-    updateFountains();
-    updateStars();
+    drawSkyFlash(frameTime);
+    drawReflections();
+    drawParticles(particles.embers);
+    MODES.forEach(name => {
+        const emitter = emitters[name];
+        if (emitter.draw) emitter.draw();
+        else emitter.particles.forEach(key => drawParticles(particles[key]));
+    });
+    drawAimGuide();
 
     ctx.globalCompositeOperation = 'source-over';
 
-    requestAnimationFrame(animate);
+    flushSprites();
 }
 
-document.getElementById('rockets').addEventListener('click', function() {
-    state.rockets = !state.rockets;
-    this.classList.toggle('active');
-    if (!state.rockets) {
-        particles.rockets = [];
-        particles.rocketExplosions = [];
+function animate(timestamp = performance.now()) {
+    const frameTime = lastFrameTime
+        ? Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME)
+        : STEP;
+    lastFrameTime = timestamp;
+
+    if (controlsReady) pollGamepads();
+    updatePerformance(frameTime);
+    stepAccumulator += frameTime;
+    while (stepAccumulator >= STEP) {
+        simulate(STEP);
+        stepAccumulator -= STEP;
     }
-});
 
-document.getElementById('sparklers').addEventListener('click', function() {
-    state.sparklers = !state.sparklers;
-    this.classList.toggle('active');
-    if (!state.sparklers) particles.sparklers = [];
-});
+    render(frameTime);
+    updateRecording();
+    if (host.captureFrames) sendFrame();
 
-document.getElementById('bursts').addEventListener('click', function() {
-    state.bursts = !state.bursts;
-    this.classList.toggle('active');
-    if (!state.bursts) particles.bursts = [];
-});
+    if (host.running) host.frame = requestAnimationFrame(animate);
+}
+
+// Replay. A run is its seed, the settings and modes it started with and a
+// log of every input that changes the simulation (mode toggles, launches,
+// fountain aiming, 3D camera drags, clears, setting and quality-level
+// changes, show controls, music onsets and shaped-shell shapes), each
+// stamped with the step it was applied before. Replaying restores the start
+// state and feeds the log back at the same steps. Starting a show logs its
+// timeline and position, and a new run logs the current shape first, so a
+// replay uses them even if another show or shape is loaded by then.
+const MAX_REPLAY_INPUTS = 50000;
+
+const replay = {
+    seed: 0,
+    settings: {},
+    modes: {},
+    width: 0,
+    height: 0,
+    inputs: [],
+    // Settings as of the last logged change, so only changes are logged
+    current: {},
+    playing: false,
+    cursor: 0
+};
+let simStep = 0;
+
+const inputActions = {
+    mode: ({ name, on }) => {
+        if (emitters[name]) setMode(name, Boolean(on));
+    },
+    launch: ({ x, y, z, shell, color, seed: launchSeed }) => {
+        if (launchSeed === undefined) {
+            launchRocket(x, y, shell, color, z);
+            return;
+        }
+        const rocket = withSeed(launchSeed, () => launchRocket(x, y, shell, color, z));
+        rocket.seed = launchSeed;
+    },
+    fire: ({ shell }) => fireShell(shell),
+    burst: ({ x, y }) => {
+        playBoom(x, y, 0.3);
+        spawnBurst(x, y, randomColor());
+    },
+    aim: (data) => {
+        if (data.active) Object.assign(aim, data);
+        else aim.active = false;
+    },
+    camera: (data) => Object.assign(camera3D, data),
+    clear: () => clearAll(),
+    settings: (values) => {
+        Object.assign(settings, values);
+        if (values.renderer !== undefined) setRenderer(values.renderer);
+        if (values.scene !== undefined) buildScene();
+        Object.assign(replay.current, values);
+        if (replay.playing) syncSettingsUI();
+    },
+    quality: ({ level }) => setPerfLevel(level),
+    show: ({ timeline, time, playing }) => {
+        if (timeline) loadShow(timeline);
+        if (time !== undefined) seekShow(time);
+        if (playing === true) playShow();
+        else if (playing === false) pauseShow();
+    },
+    music: ({ bass, mid, high }) => fireMusicOnsets(bass || 0, mid || 0, high || 0),
+    shape: setShape
+};
+
+// Inputs the page applies too in worker mode, to keep its controls and
+// the settings it compares against (replay.current) in step
+const PAGE_INPUTS = ['mode', 'settings', 'clear', 'show'];
+
+// Applies a simulation input and logs it, unless a replay is feeding the
+// log back. In worker mode it is sent to the worker, which logs it.
+function input(type, data = {}) {
+    if (host.worker) {
+        host.worker.postMessage({ type: 'input', action: type, data });
+        if (PAGE_INPUTS.includes(type)) inputActions[type](data);
+        return;
+    }
+    if (!replay.playing && replay.inputs.length < MAX_REPLAY_INPUTS) {
+        replay.inputs.push({ step: simStep, type, data });
+    }
+    inputActions[type](data);
+}
+
+function recordSettingsChange() {
+    const changes = {};
+    Object.keys(settings).forEach(key => {
+        if (settings[key] !== replay.current[key]) changes[key] = settings[key];
+    });
+    if (Object.keys(changes).length) input('settings', changes);
+}
+
+function clearAll() {
+    MODES.forEach(mode => setMode(mode, false));
+    Object.keys(particles).forEach(clearParticles);
+    skyFlash.intensity = 0;
+    aim.active = false;
+    pauseShow();
+    stopMusic();
+}
+
+function resetSimulation(runSeed) {
+    clearAll();
+    seed = runSeed;
+    random = createRandom(seed);
+    depthRandom = createRandom(seed ^ DEPTH_SEED_SALT);
+    Object.assign(camera3D, CAMERA_3D_START);
+    simStep = 0;
+    stepAccumulator = 0;
+    environment.time = 0;
+    Object.keys(spawnTimers).forEach(key => { spawnTimers[key] = 0; });
+    setPerfLevel(0);
+    if (controlsReady) document.getElementById('seed').value = seed;
+}
+
+// Starts a fresh recorded run, keeping the current settings and modes
+function startRun(runSeed) {
+    const modes = {};
+    MODES.forEach(mode => { modes[mode] = state[mode]; });
+    resetSimulation(runSeed);
+    MODES.forEach(mode => setMode(mode, modes[mode]));
+    Object.assign(replay, {
+        seed,
+        settings: { ...settings },
+        current: { ...settings },
+        modes,
+        width: canvas.width,
+        height: canvas.height,
+        inputs: [],
+        playing: false,
+        cursor: 0
+    });
+    // The shape isn't part of the start state, so log the current one
+    if (shapeShell.source && !host.worker) input('shape', shapeShell.source);
+}
+
+function playReplay(record) {
+    if (record.width !== canvas.width || record.height !== canvas.height) {
+        console.warn(`Replay was recorded at ${record.width}x${record.height}; positions may differ`);
+    }
+    resetSimulation(record.seed);
+    settings = { ...defaultSettings, ...record.settings };
+    setRenderer(settings.renderer);
+    buildScene();
+    syncSettingsUI();
+    MODES.forEach(mode => setMode(mode, Boolean(record.modes[mode])));
+    Object.assign(replay, record, { current: { ...settings }, playing: true, cursor: 0 });
+}
+
+function applyReplayInputs() {
+    if (!replay.playing) return;
+    while (replay.cursor < replay.inputs.length && replay.inputs[replay.cursor].step <= simStep) {
+        const { type, data } = replay.inputs[replay.cursor++];
+        inputActions[type](data);
+    }
+    if (replay.cursor >= replay.inputs.length) replay.playing = false;
+}
+
+function replayRun() {
+    playReplay(replayRecord());
+}
+
+function replayRecord() {
+    return {
+        version: 1,
+        seed: replay.seed,
+        settings: replay.settings,
+        modes: replay.modes,
+        width: replay.width,
+        height: replay.height,
+        inputs: replay.inputs.slice()
+    };
+}
+
+function normalizeReplay(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.inputs)) {
+        throw new Error('not a fireworks replay');
+    }
+    // Replays are only ever recorded with current-version settings
+    const preset = normalizePreset({ settings: { ...data.settings, version: SETTINGS_VERSION }, modes: data.modes });
+    const { version, ...values } = preset.settings;
+    const inputs = data.inputs
+        .filter(entry => entry && Number.isFinite(entry.step) && inputActions[entry.type])
+        .map(entry => ({ step: entry.step, type: entry.type, data: entry.data || {} }))
+        .sort((a, b) => a.step - b.step);
+    return {
+        seed: parseSeed(data.seed),
+        settings: values,
+        modes: preset.modes,
+        width: Number(data.width) || canvas.width,
+        height: Number(data.height) || canvas.height,
+        inputs
+    };
+}
+
+function saveReplay(record) {
+    downloadBlob(new Blob([JSON.stringify(record)], { type: 'application/json' }), 'json');
+}
+
+function initReplayControls() {
+    const seedInput = document.getElementById('seed');
+    // Replays the current run when its seed is unchanged, otherwise starts
+    // a new run from the entered seed
+    const replayFromInput = () => {
+        const entered = parseSeed(seedInput.value);
+        if (entered === replay.seed) callEngine('replayRun');
+        else callEngine('startRun', entered);
+    };
+
+    document.getElementById('seedReplay').addEventListener('click', replayFromInput);
+    seedInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') replayFromInput();
+    });
+    document.getElementById('seedNew').addEventListener('click', () => callEngine('startRun', newSeed()));
+
+    // In worker mode the worker holds the log and sends the record back
+    document.getElementById('replaySave').addEventListener('click', () => {
+        if (host.worker) callWorker('sendReplay');
+        else saveReplay(replayRecord());
+    });
+
+    const fileInput = document.getElementById('replayFile');
+    document.getElementById('replayLoad').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            callEngine('playReplay', normalizeReplay(JSON.parse(text)));
+        }).catch(e => {
+            console.warn('Failed to load replay:', e);
+            showStatus(`Could not load replay: ${e.message}`);
+        });
+        fileInput.value = '';
+    });
+
+    callEngine('startRun', seed);
+}
+
+// Shared rooms. Everyone connected to the same room code through the
+// relay (fireworks-relay.js, run with `node fireworks-relay.js`) sees each
+// other's click-launched shells. Only the launch is sent: its position as
+// a fraction of the canvas, shell type, color and a seed that plays the
+// rocket and its burst out identically on every screen. The relay defaults
+// to port 8787 on the page's host, over wss: on HTTPS pages (which needs
+// the relay started with a certificate, see fireworks-relay.js);
+// `?relay=ws://host:port` picks another and `?room=CODE` joins a room on
+// load.
+const RELAY_PORT = 8787;
+const ROOM_CODE_LENGTH = 5;
+// Unambiguous letters and digits for generated codes
+const ROOM_CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const room = {
+    socket: null,
+    code: '',
+    peers: 0,
+    // Why the last join failed, shown in place of the room code
+    error: ''
+};
+
+function relayURL() {
+    const params = new URLSearchParams(location.search);
+    const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+    return params.get('relay') || `${scheme}://${location.hostname || 'localhost'}:${RELAY_PORT}`;
+}
+
+function newRoomCode() {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+    }
+    return code;
+}
+
+function cleanRoomCode(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 16);
+}
+
+function updateRoomDisplay() {
+    const button = document.getElementById('roomButton');
+    const label = document.getElementById('roomCode');
+    button.textContent = room.code ? 'Leave Room' : 'Join Room';
+    label.textContent = room.code
+        ? `Room ${room.code}${room.socket && room.socket.readyState === WebSocket.OPEN ? ` · ${room.peers} here` : ' · connecting…'}`
+        : room.error;
+}
+
+function setRoomParam(code) {
+    const url = new URL(location.href);
+    if (code) url.searchParams.set('room', code);
+    else url.searchParams.delete('room');
+    history.replaceState(null, '', url);
+}
+
+function joinRoom(code) {
+    leaveRoom();
+    // A bad ?relay= URL or a blocked insecure socket throws right away
+    let socket;
+    try {
+        socket = new WebSocket(`${relayURL()}/?room=${encodeURIComponent(code)}`);
+    } catch (e) {
+        console.warn(`Failed to join room ${code}:`, e);
+        room.error = 'Could not reach the room relay';
+        setRoomParam('');
+        updateRoomDisplay();
+        return;
+    }
+    room.error = '';
+    room.socket = socket;
+    room.code = code;
+    room.peers = 0;
+    let opened = false;
+    socket.addEventListener('open', () => {
+        opened = true;
+        updateRoomDisplay();
+    });
+    socket.addEventListener('message', (e) => {
+        try {
+            receiveRoomMessage(JSON.parse(e.data));
+        } catch (err) {
+            console.warn('Ignoring bad room message:', err);
+        }
+    });
+    socket.addEventListener('close', () => {
+        if (room.socket !== socket) return;
+        console.warn(`Disconnected from room ${code}`);
+        room.error = opened ? 'Lost the room connection' : 'Could not reach the room relay';
+        room.socket = null;
+        room.code = '';
+        updateRoomDisplay();
+        setRoomParam('');
+    });
+    setRoomParam(code);
+    updateRoomDisplay();
+}
+
+function leaveRoom() {
+    if (!room.socket) return;
+    const socket = room.socket;
+    room.socket = null;
+    room.code = '';
+    socket.close();
+    setRoomParam('');
+    updateRoomDisplay();
+}
+
+function receiveRoomMessage(msg) {
+    if (msg.type === 'peers') {
+        room.peers = Number(msg.count) || 0;
+        updateRoomDisplay();
+        return;
+    }
+    if (msg.type !== 'launch') return;
+    const fraction = (value, fallback) => Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : fallback;
+    const colors = [].concat(msg.color).filter(c => typeof c === 'string' && c.length < 64);
+    input('launch', {
+        x: fraction(msg.x, 0.5) * canvas.width,
+        y: fraction(msg.y, 0.3) * canvas.height,
+        z: Number.isFinite(msg.z) ? Math.min(Math.max(msg.z, -1), 1) * canvas.width : 0,
+        shell: shellTypes[msg.shell] ? msg.shell : 'peony',
+        color: colors.length ? colors : undefined,
+        seed: Number(msg.seed) >>> 0
+    });
+}
+
+// Launches a rocket from a click, sending it to the room if in one
+function launchShared(x, y, z = 0) {
+    const launchSeed = newSeed();
+    const data = withSeed(launchSeed, () => ({ x, y, z, shell: pickShellType(), color: shellColor(), seed: launchSeed }));
+    input('launch', data);
+    if (room.socket && room.socket.readyState === WebSocket.OPEN) {
+        room.socket.send(JSON.stringify({
+            type: 'launch',
+            x: x / canvas.width,
+            y: y / canvas.height,
+            z: z / canvas.width,
+            shell: data.shell,
+            color: data.color,
+            seed: launchSeed
+        }));
+    }
+}
+
+// Room controls live in the page header, so pages without one skip them
+function initRoomControls() {
+    const button = document.getElementById('roomButton');
+    if (!button) return;
+    button.addEventListener('click', () => {
+        if (room.code) {
+            leaveRoom();
+            return;
+        }
+        const code = cleanRoomCode(prompt('Room code to join or create:', newRoomCode()));
+        if (code) joinRoom(code);
+    });
+    const code = cleanRoomCode(new URLSearchParams(location.search).get('room'));
+    if (code) joinRoom(code);
+    else updateRoomDisplay();
+}
+
+// Named presets: a snapshot of the settings plus which modes are on.
+// Stored as an array under `fireworksPresets`, exported/imported as JSON
+// and shareable as a base64url-encoded `#preset=` URL hash.
+let presets = [];
+
+// Runs from initPresets(), once the built-in emitters have registered, so
+// their settings and modes survive normalizePreset(). A damaged entry is
+// skipped rather than losing the whole list.
+function loadPresets() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('fireworksPresets') || '[]');
+    } catch (e) {
+        console.warn('Failed to load presets:', e);
+        return;
+    }
+    if (!Array.isArray(saved)) return;
+    saved.forEach(data => {
+        try {
+            presets.push(normalizePreset(data));
+        } catch (e) {
+            console.warn('Skipping invalid saved preset:', e);
+        }
+    });
+}
+
+function savePresets() {
+    try {
+        localStorage.setItem('fireworksPresets', JSON.stringify(presets));
+    } catch (e) {
+        console.warn('Failed to save presets:', e);
+    }
+}
+
+function currentPreset(name) {
+    const modes = {};
+    MODES.forEach(mode => { modes[mode] = state[mode]; });
+    return { name, settings: { ...settings, version: SETTINGS_VERSION }, modes };
+}
+
+// Validates untrusted preset data, keeping only known settings whose type
+// matches the default. Throws an Error if the data is not a preset.
+function normalizePreset(data) {
+    if (!data || typeof data !== 'object' || typeof data.settings !== 'object' || !data.settings) {
+        throw new Error('not a fireworks preset');
+    }
+    const source = migrateSettings({ ...data.settings });
+    const clean = { version: SETTINGS_VERSION };
+    Object.keys(defaultSettings).forEach(key => {
+        if (typeof source[key] === typeof defaultSettings[key]) clean[key] = cleanSetting(key, source[key]);
+    });
+    const modes = {};
+    MODES.forEach(mode => { modes[mode] = Boolean(data.modes && data.modes[mode]); });
+    return { name: String(data.name || 'Untitled'), settings: clean, modes };
+}
+
+function applyPreset(preset) {
+    const { version, ...values } = preset.settings;
+    settings = { ...defaultSettings, ...values };
+    saveSettings();
+    setRenderer(settings.renderer);
+    buildScene();
+    syncSettingsUI();
+    MODES.forEach(mode => input('mode', { name: mode, on: preset.modes[mode] }));
+}
+
+function encodePreset(preset) {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset));
+    const binary = Array.from(bytes, b => String.fromCharCode(b)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodePreset(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return normalizePreset(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+function uniquePresetName(name) {
+    let candidate = name;
+    for (let n = 2; presets.some(p => p.name === candidate); n++) {
+        candidate = `${name} (${n})`;
+    }
+    return candidate;
+}
+
+function refreshPresetSelect(selectedName) {
+    const select = document.getElementById('presetSelect');
+    select.innerHTML = '';
+    select.add(new Option(presets.length ? '— Choose preset —' : '— No presets —', ''));
+    presets.forEach(preset => select.add(new Option(preset.name, preset.name)));
+    select.value = selectedName || '';
+}
 
-document.getElementById('fountains').addEventListener('click', function() {
-    state.fountains = !state.fountains;
-    this.classList.toggle('active');
-    if (!state.fountains) particles.fountains = [];
+function selectedPreset() {
+    const name = document.getElementById('presetSelect').value;
+    return presets.find(p => p.name === name);
+}
+
+function initPresets() {
+    const select = document.getElementById('presetSelect');
+    loadPresets();
+    refreshPresetSelect();
+
+    select.addEventListener('change', () => {
+        const preset = selectedPreset();
+        if (preset) applyPreset(preset);
+    });
+
+    document.getElementById('presetSave').addEventListener('click', () => {
+        const current = selectedPreset();
+        const name = prompt('Preset name:', current ? current.name : 'My Show');
+        if (!name) return;
+        const index = presets.findIndex(p => p.name === name);
+        if (index >= 0) presets[index] = currentPreset(name);
+        else presets.push(currentPreset(name));
+        savePresets();
+        refreshPresetSelect(name);
+    });
+
+    document.getElementById('presetRename').addEventListener('click', () => {
+        const preset = selectedPreset();
+        if (!preset) return;
+        const name = prompt('Rename preset:', preset.name);
+        if (!name || name === preset.name) return;
+        preset.name = uniquePresetName(name);
+        savePresets();
+        refreshPresetSelect(preset.name);
+    });
+
+    document.getElementById('presetDuplicate').addEventListener('click', () => {
+        const preset = selectedPreset();
+        if (!preset) return;
+        const copy = normalizePreset({ ...preset, name: uniquePresetName(`${preset.name} copy`) });
+        presets.push(copy);
+        savePresets();
+        refreshPresetSelect(copy.name);
+    });
+
+    document.getElementById('presetDelete').addEventListener('click', () => {
+        const preset = selectedPreset();
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+        presets = presets.filter(p => p !== preset);
+        savePresets();
+        refreshPresetSelect();
+    });
+
+    document.getElementById('presetExport').addEventListener('click', () => {
+        const json = JSON.stringify({ presets }, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'json');
+    });
+
+    const fileInput = document.getElementById('presetFile');
+    document.getElementById('presetImport').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            const data = JSON.parse(text);
+            // Accept an export file, a bare array or a single preset
+            const list = Array.isArray(data) ? data : (data.presets || [data]);
+            const imported = list.map(normalizePreset);
+            imported.forEach(preset => {
+                preset.name = uniquePresetName(preset.name);
+                presets.push(preset);
+            });
+            savePresets();
+            refreshPresetSelect(imported.length === 1 ? imported[0].name : '');
+        }).catch(e => {
+            console.warn('Failed to import presets:', e);
+            showStatus(`Could not import presets: ${e.message}`);
+        });
+        fileInput.value = '';
+    });
+
+    document.getElementById('presetShare').addEventListener('click', () => {
+        const current = selectedPreset();
+        const hash = `#preset=${encodePreset(currentPreset(current ? current.name : 'Shared'))}`;
+        history.replaceState(null, '', hash);
+        const url = location.href;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(
+                () => showStatus('Link copied to clipboard'),
+                () => prompt('Copy this link:', url)
+            );
+        } else {
+            prompt('Copy this link:', url);
+        }
+    });
+
+    applyPresetFromHash();
+    listen(window, 'hashchange', applyPresetFromHash);
+}
+
+function applyPresetFromHash() {
+    const match = location.hash.match(/preset=([\w-]+)/);
+    if (!match) return;
+    try {
+        applyPreset(decodePreset(match[1]));
+    } catch (e) {
+        console.warn('Ignoring invalid preset in URL:', e);
+    }
+}
+
+// Built-in emitters
+registerEmitter('rockets', {
+    label: '🚀 ROCKETS',
+    color: '#ff4444',
+    activeColor: '#ff0000',
+    particles: ['rockets', 'rocketExplosions'],
+    settings: [
+        { key: 'rocketSpawn', label: 'Rocket Spawn Rate', min: 150, max: 1700, step: 10, value: 500, suffix: 'ms' },
+        { key: 'rocketParticles', label: 'Rocket Particles', min: 30, max: 2000, step: 10, value: 80 },
+        { key: 'rocketSpeed', label: 'Rocket Speed', min: 240, max: 1200, step: 10, value: 480, suffix: 'px/s' },
+        { key: 'explosionLife', label: 'Explosion Life', min: 0.5, max: 4, value: 1.33, suffix: 's', scale: 0.01 },
+        {
+            key: 'shellType',
+            label: 'Shell Type',
+            type: 'select',
+            value: 'random',
+            options: () => [['random', 'Random'], ...Object.entries(shellTypes).map(([key, type]) => [key, type.label])]
+        }
+    ],
+    spawn(dt) {
+        for (let n = spawnsDue('rockets', settings.rocketSpawn, dt); n > 0; n--) launchRocket();
+    },
+    update: updateRockets,
+    draw: drawRockets,
+    draw3D: drawRockets3D
 });
 
-document.getElementById('stars').addEventListener('click', function() {
-    state.stars = !state.stars;
-    this.classList.toggle('active');
-    if (!state.stars) particles.stars = [];
+registerEmitter('sparklers', {
+    label: '✨ SPARKLERS',
+    color: '#ffaa00',
+    activeColor: '#ff8800',
+    particles: ['sparklers'],
+    settings: [
+        { key: 'sparklerRate', label: 'Sparkler Rate', min: 30, max: 300, step: 10, value: 150, suffix: '/s' }
+    ],
+    spawn(dt) {
+        spawnSparklers(spawnCount('sparklers', settings.sparklerRate, dt));
+    },
+    update: updateSparklers
 });
 
-document.getElementById('clear').addEventListener('click', function() {
-    state.rockets = state.sparklers = state.bursts = state.fountains = state.stars = false;
-    Object.keys(particles).forEach(key => particles[key] = []);
-    document.querySelectorAll('button').forEach(btn => btn.classList.remove('active'));
+registerEmitter('bursts', {
+    label: '💥 BURSTS',
+    color: '#44ff44',
+    activeColor: '#00ff00',
+    particles: ['bursts'],
+    settings: [
+        { key: 'burstSpawn', label: 'Burst Spawn Rate', min: 150, max: 850, value: 333, suffix: 'ms' },
+        { key: 'burstParticles', label: 'Burst Particles', min: 15, max: 60, value: 30 }
+    ],
+    spawn: spawnRandomBursts,
+    update: updateBursts
 });
 
-document.getElementById('mute').addEventListener('click', function() {
-    state.muted = !state.muted;
-    this.classList.toggle('active');
-    this.textContent = state.muted ? '🔇 MUTED' : '🔊 SOUND';
+registerEmitter('fountains', {
+    label: '⛲ FOUNTAINS',
+    color: '#4444ff',
+    activeColor: '#0000ff',
+    particles: ['fountains'],
+    settings: [
+        { key: 'fountainRate', label: 'Fountain Rate', min: 60, max: 600, step: 10, value: 180, suffix: '/s' },
+        { key: 'fountainVel', label: 'Fountain Velocity', min: 0.5, max: 3, value: 1.0, suffix: 'x', scale: 0.01 },
+        { key: 'fountainX', label: 'Fountain Position', min: 0, max: 100, value: 50, suffix: '%' }
+    ],
+    spawn: spawnFountain,
+    update: updateFountains
 });
 
-window.addEventListener('resize', () => {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+registerEmitter('stars', {
+    label: '⭐ STARS',
+    color: '#ff44ff',
+    activeColor: '#ff00ff',
+    particles: ['stars'],
+    settings: [
+        { key: 'starCount', label: 'Star Count', min: 50, max: 200, value: 100 }
+    ],
+    spawn: spawnStars,
+    update: updateStars,
+    draw: drawStars,
+    draw3D: drawStars3D
 });
 
-loadAssets();
+// Embedding. createFireworks(canvasEl, options) runs the engine on any
+// canvas and returns a small API, so other pages can put on a celebration:
+//
+//   const fireworks = createFireworks(document.getElementById('fx'), {
+//       modes: ['rockets'],
+//       transparent: true,
+//       muted: true
+//   });
+//   fireworks.launch();                  // random shell, random spot
+//   fireworks.launch(200, 120, 'heart'); // explodes at (200, 120)
+//   setTimeout(() => fireworks.destroy(), 5000);
+//
+// Options:
+//   controls     wire up the fireworks page's buttons and settings panel
+//   fitWindow    size the canvas to the window instead of its layout box
+//   transparent  fade trails out to transparent instead of to black
+//   modes        emitter names to start switched on
+//   settings     setting overrides; only the fireworks page (`controls`)
+//                loads and saves the user's own settings
+//   seed         seed for the run
+//   muted        start without sound
+//   offscreen    simulate and draw in a worker on an OffscreenCanvas so a
+//                busy page doesn't stall the animation; falls back to the
+//                page where that isn't supported or the 3D view is
+//                selected. Emitters registered by
+//                other scripts don't exist in the worker, and the canvas
+//                can't be reused once destroyed.
+//
+// There is one engine per page, so only one canvas runs at a time:
+// createFireworks() throws while one is running, so destroy() the current
+// one before creating another. The engine's state and helpers (`canvas`,
+// `settings`, `particles`, random() and the rest) are top-level names this
+// script shares with the page, which is what lets other scripts register
+// emitters; a host page must not declare any of them itself, so where that
+// can't be avoided load the fireworks in an iframe.
+const host = {
+    running: false,
+    persist: false,
+    fitWindow: false,
+    transparent: false,
+    frame: 0,
+    listeners: [],
+    // The page's canvas element, and in worker mode the worker drawing it
+    element: null,
+    worker: null,
+    // Set in the worker while the page is recording
+    captureFrames: false
+};
+
+// Adds an event listener that destroy() removes again
+function listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    host.listeners.push([target, type, handler]);
+}
+
+function resizeCanvas() {
+    if (host.fitWindow) {
+        canvas.width = window.innerWidth;
+        canvas.height = window.innerHeight;
+    } else {
+        const rect = host.element.getBoundingClientRect();
+        if (rect.width && rect.height) {
+            canvas.width = Math.round(rect.width);
+            canvas.height = Math.round(rect.height);
+        }
+    }
+    if (!host.worker) {
+        buildScene();
+        return;
+    }
+    if (host.fitWindow) {
+        host.element.style.width = `${canvas.width}px`;
+        host.element.style.height = `${canvas.height}px`;
+    }
+    host.worker.postMessage({ type: 'resize', width: canvas.width, height: canvas.height });
+}
+
+function checkMode(name) {
+    if (!emitters[name]) throw new Error(`Unknown fireworks mode: ${name}`);
+}
+
+function initButtonControls() {
+    document.getElementById('clear').addEventListener('click', () => input('clear'));
+
+    document.getElementById('mute').addEventListener('click', function() {
+        state.muted = !state.muted;
+        this.classList.toggle('active');
+        this.textContent = state.muted ? '🔇 MUTED' : '🔊 SOUND';
+    });
+}
+
+function pauseFireworks() {
+    host.running = false;
+    cancelAnimationFrame(host.frame);
+    callWorker('pauseFireworks');
+}
+
+function resumeFireworks() {
+    if (host.running) return;
+    host.running = true;
+    lastFrameTime = 0;
+    host.frame = requestAnimationFrame(host.worker ? pageFrame : animate);
+    callWorker('resumeFireworks');
+}
+
+function destroyFireworks() {
+    if (!canvas) return;
+    pauseFireworks();
+    leaveRoom();
+    if (recording.active) stopRecording();
+    clearAll();
+    host.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+    host.listeners = [];
+    pointer.down = pointer.dragging = false;
+    if (host.worker) {
+        host.worker.terminate();
+        host.worker = null;
+    } else {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+    canvas = ctx = host.element = null;
+}
+
+function createFireworks(canvasEl, options = {}) {
+    if (canvas) throw new Error('Fireworks are already running; destroy() them first');
+    if (options.controls && controlsReady) throw new Error('The fireworks controls are already set up');
+    (options.modes || []).forEach(checkMode);
+
+    Object.assign(host, {
+        element: canvasEl,
+        persist: Boolean(options.controls),
+        fitWindow: Boolean(options.fitWindow),
+        transparent: Boolean(options.transparent)
+    });
+    if (!options.controls) settings = { ...defaultSettings };
+    Object.assign(settings, options.settings);
+    state.muted = Boolean(options.muted);
+    if (options.seed !== undefined) seed = parseSeed(String(options.seed));
+
+    if (!(options.offscreen && startWorker(canvasEl, options))) {
+        canvas = canvasEl;
+        ctx = canvas.getContext('2d');
+        if (!assets.particleSprites.length) assets.particleSprites = generateParticleSprites();
+        if (settings.renderer !== '2d') setRenderer(settings.renderer);
+    }
+    resizeCanvas();
+    listen(window, 'resize', resizeCanvas);
+    listen(canvasEl, 'pointerdown', onPointerDown);
+    listen(canvasEl, 'pointermove', onPointerMove);
+    listen(canvasEl, 'pointerup', onPointerUp);
+    listen(canvasEl, 'pointercancel', onPointerCancel);
+
+    (options.modes || []).forEach(name => setMode(name, true));
+    if (options.controls) {
+        MODES.forEach(addEmitterControls);
+        initButtonControls();
+        initSettings();
+        controlsReady = true;
+        initPresets();
+        initShowControls();
+        initMusicControls();
+        initRecordControls();
+        initShapeControls();
+        initInputControls();
+        initReplayControls();
+        initRoomControls();
+        const loadingEl = document.getElementById('loading');
+        if (loadingEl) loadingEl.style.display = 'none';
+    } else {
+        callEngine('startRun', seed);
+    }
+    resumeFireworks();
+
+    return {
+        // Launches a rocket that bursts at (x, y) in canvas pixels; any
+        // argument left out is picked at random
+        launch(x, y, shell) {
+            if (shell !== undefined && !shellTypes[shell]) throw new Error(`Unknown shell type: ${shell}`);
+            input('launch', { x, y, shell });
+        },
+        setMode(name, on = true) {
+            checkMode(name);
+            input('mode', { name, on: Boolean(on) });
+        },
+        clear() {
+            input('clear');
+        },
+        pause: pauseFireworks,
+        resume: resumeFireworks,
+        destroy: destroyFireworks
+    };
+}
+
+// Offscreen rendering. With the `offscreen` option the page hands its
+// canvas to a worker running this same script, which simulates and draws
+// there so long tasks on the page don't drop frames. The page keeps the
+// controls, pointer, keyboard, audio and recording: inputs and control
+// calls are posted to the worker, which posts back the sounds to play,
+// stats, mode and settings changes, show progress and, while recording,
+// frames. On the page `canvas` then only records the canvas size.
+const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+// Runs an engine function in the worker, if there is one
+function callWorker(name, ...args) {
+    if (host.worker) host.worker.postMessage({ type: 'call', name, args });
+}
+
+// Runs an engine function here and in the worker, so the page's copy of
+// the run (seed, replay, show) follows the worker's
+function callEngine(name, ...args) {
+    workerCalls[name](...args);
+    callWorker(name, ...args);
+}
+
+function postToPage(type, data, transfer = []) {
+    self.postMessage({ type, ...data }, transfer);
+}
+
+function postSound(name, ...args) {
+    postToPage('sound', { name, args });
+}
+
+function sendFrame() {
+    createImageBitmap(canvas).then(bitmap => postToPage('frame', { bitmap }, [bitmap]));
+}
+
+// Hands the canvas to a worker, returning false where that isn't possible
+// so the engine runs on the page instead. The 3D view stays on the page
+// too, as three.js isn't loaded in the worker.
+function startWorker(canvasEl, options) {
+    if (!canvasEl.transferControlToOffscreen || typeof Worker === 'undefined' || !SCRIPT_URL) return false;
+    if (settings.renderer === '3d') return false;
+    let worker;
+    try {
+        worker = new Worker(SCRIPT_URL);
+    } catch (e) {
+        console.warn('Failed to start the fireworks worker:', e);
+        return false;
+    }
+    worker.addEventListener('message', (e) => pageMessages[e.data.type](e.data));
+    worker.addEventListener('error', (e) => console.warn('Fireworks worker error:', e.message));
+
+    canvas = { width: canvasEl.width, height: canvasEl.height };
+    const offscreen = canvasEl.transferControlToOffscreen();
+    worker.postMessage({
+        type: 'start',
+        canvas: offscreen,
+        transparent: host.transparent,
+        settings,
+        modes: options.modes || [],
+        siteTheme
+    }, [offscreen]);
+    host.worker = worker;
+    return true;
+}
+
+// Worker side
+function startWorkerEngine(data) {
+    canvas = data.canvas;
+    ctx = canvas.getContext('2d');
+    host.transparent = data.transparent;
+    settings = { ...defaultSettings, ...data.settings };
+    siteTheme = data.siteTheme;
+    assets.particleSprites = generateParticleSprites();
+    if (settings.renderer !== '2d') setRenderer(settings.renderer);
+    data.modes.forEach(name => setMode(name, true));
+}
+
+// Engine functions the page may call by name (see callWorker)
+const workerCalls = {
+    startRun,
+    replayRun,
+    playReplay,
+    loadShow,
+    pauseFireworks,
+    resumeFireworks,
+    setSiteTheme: (theme) => { siteTheme = theme; },
+    captureFrames: (on) => { host.captureFrames = on; },
+    sendReplay: () => postToPage('replay', { record: replayRecord() })
+};
+
+const workerMessages = {
+    start: startWorkerEngine,
+    input: ({ action, data }) => input(action, data),
+    resize: ({ width, height }) => {
+        canvas.width = width;
+        canvas.height = height;
+        buildScene();
+    },
+    call: ({ name, args }) => workerCalls[name](...args)
+};
+
+// Page side
+const pageSounds = { playWhistle, playBoom, playCrackle };
+
+const pageMessages = {
+    sound: ({ name, args }) => pageSounds[name](...args),
+    stats: ({ text }) => {
+        if (controlsReady) document.getElementById('stats').textContent = text;
+    },
+    mode: ({ name, on }) => setMode(name, on),
+    settings: ({ values }) => {
+        settings = { ...values };
+        replay.current = { ...values };
+        if (controlsReady) syncSettingsUI();
+    },
+    show: ({ time, playing }) => {
+        show.time = time;
+        if (!playing && show.playing) pauseShow();
+        updateShowDisplay();
+    },
+    replay: ({ record }) => saveReplay(record),
+    frame: ({ bitmap }) => {
+        updateRecording(bitmap);
+        bitmap.close();
+    }
+};
+
+// The page's frame loop while the worker animates: gamepads, music
+// analysis and showing or hiding the stats overlay
+function pageFrame() {
+    if (controlsReady) {
+        pollGamepads();
+        document.getElementById('stats').classList.toggle('visible', settings.showStats);
+    }
+    updateMusic();
+    if (host.running) host.frame = requestAnimationFrame(pageFrame);
+}
+
+if (IN_WORKER) {
+    self.addEventListener('message', (e) => workerMessages[e.data.type](e.data));
+}